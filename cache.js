@@ -0,0 +1,131 @@
+// cache.js
+// Bounded in-memory cache with least-recently-used eviction.
+//
+//   maxEntries - evict once there are more entries than this
+//   maxBytes   - evict once the summed sizeOf() of all entries is over this
+//   ttl        - ms an entry may go unused before it expires (reads refresh it)
+//   sizeOf     - (value) -> approximate bytes, used for maxBytes and the memory estimate
+//
+// A Map keeps insertion order, so re-inserting on every hit keeps the least recently used
+// entry first and eviction just drops from the front.
+
+class LruCache {
+  constructor({ name, maxEntries = Infinity, maxBytes = Infinity, ttl = 0, sizeOf = () => 0 } = {}) {
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+    this.sizeOf = sizeOf;
+
+    this.store = new Map(); // key -> { value, bytes, touchedAt }
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  get size() {
+    return this.store.size;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return this.ttl > 0 && now - entry.touchedAt > this.ttl;
+  }
+
+  // Value for `key` (and mark it recently used), or undefined on a miss
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry || this.isExpired(entry)) {
+      if (entry) this.expire(key);
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    entry.touchedAt = Date.now();
+    this.store.delete(key);
+    this.store.set(key, entry);
+    return entry.value;
+  }
+
+  // Like get(), without counting a hit/miss or changing the eviction order
+  peek(key) {
+    const entry = this.store.get(key);
+    return entry && !this.isExpired(entry) ? entry.value : undefined;
+  }
+
+  has(key) {
+    return this.peek(key) !== undefined;
+  }
+
+  set(key, value) {
+    this.delete(key);
+
+    const bytes = this.sizeOf(value);
+    this.store.set(key, { value, bytes, touchedAt: Date.now() });
+    this.bytes += bytes;
+
+    // Always keep the newest entry, even if it alone is over maxBytes
+    while (this.store.size > 1 && (this.store.size > this.maxEntries || this.bytes > this.maxBytes)) {
+      this.delete(this.store.keys().next().value);
+      this.evictions++;
+    }
+    return value;
+  }
+
+  delete(key) {
+    const entry = this.store.get(key);
+    if (!entry) return false;
+    this.bytes -= entry.bytes;
+    return this.store.delete(key);
+  }
+
+  expire(key) {
+    this.delete(key);
+    this.expirations++;
+  }
+
+  // Drop every expired entry (reads already skip them; this frees the memory)
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.store) {
+      if (this.isExpired(entry, now)) this.expire(key);
+    }
+  }
+
+  // [key, value] pairs of unexpired entries, least recently used first.
+  // Doesn't count as a read, so scanning the cache doesn't keep everything alive.
+  *[Symbol.iterator]() {
+    const now = Date.now();
+    for (const [key, entry] of this.store) {
+      if (!this.isExpired(entry, now)) yield [key, entry.value];
+    }
+  }
+
+  // Size/usage summary for /cachestats. Recomputes byte sizes, since cached values can grow
+  // after they're stored (e.g. a user's inventory).
+  stats() {
+    this.bytes = 0;
+    for (const entry of this.store.values()) {
+      entry.bytes = this.sizeOf(entry.value);
+      this.bytes += entry.bytes;
+    }
+
+    const lookups = this.hits + this.misses;
+    return {
+      name: this.name,
+      entries: this.store.size,
+      maxEntries: this.maxEntries,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? this.hits / lookups : 0,
+      evictions: this.evictions,
+      expirations: this.expirations
+    };
+  }
+}
+
+module.exports = { LruCache };
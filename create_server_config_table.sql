@@ -1,9 +0,0 @@
--- Create table for server channel configurations
-CREATE TABLE IF NOT EXISTS server_config (
-    guild_id TEXT PRIMARY KEY,
-    channel_id TEXT NOT NULL,
-    updated_at TIMESTAMP DEFAULT NOW()
-);
-
--- Add index for faster lookups
-CREATE INDEX IF NOT EXISTS idx_server_config_guild ON server_config(guild_id);
@@ -9,13 +9,23 @@ const {
   EmbedBuilder,
   ActionRowBuilder,
   ButtonBuilder,
-  ButtonStyle
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ApplicationCommandOptionType
 } = require('discord.js');
 const { createClient } = require('@supabase/supabase-js');
-const { createCanvas, loadImage } = require('canvas');
+const { createStorage, checkSchemaVersion, TradeError } = require('./storage');
+const { LruCache } = require('./cache');
 const axios = require('axios');
 const { AttachmentBuilder } = require('discord.js');
 
+// canvas is a native module that's only needed to draw images, so it's loaded on first use
+// (the tests run the game logic without it)
+const createCanvas = (...args) => require('canvas').createCanvas(...args);
+const loadImage = (...args) => require('canvas').loadImage(...args);
+
 // ------------------- DISCORD CLIENT -------------------
 const client = new Client({
   intents: [
@@ -34,21 +44,95 @@ const DRAW_COOLDOWN = TEST_MODE ? 0 : 15 * 60 * 1000;   // 0s vs 15min
 const PACK_COOLDOWN = TEST_MODE ? 0 : 24 * 60 * 60 * 1000;   // 0s vs 24hr
 const PICK_COOLDOWN = TEST_MODE ? 0 : 30 * 60 * 1000;  // 0s vs 30min
 
+// How long a trade offer stays open before it expires (and how often expired offers are swept)
+const TRADE_EXPIRY = (Number(process.env.TRADE_EXPIRY_MINUTES) || 24 * 60) * 60 * 1000;
+const TRADE_SWEEP_INTERVAL = 60 * 1000;
+const MAX_TRADE_CARDS = 5; // per side of a trade
+const TRADES_INBOX_LIMIT = 5; // offers shown (with buttons) by /trades
+
+// How long a /pick stays open before one of its choices is picked automatically
+const PICK_TIMEOUT = (Number(process.env.PICK_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+const PICK_SWEEP_INTERVAL = 30 * 1000;
+
+// Burned and cleared cards can be restored for this long, then they're purged for good
+const RECYCLE_BIN_DAYS = Number(process.env.RECYCLE_BIN_DAYS) || 7;
+const RECYCLE_BIN_RETENTION = RECYCLE_BIN_DAYS * 24 * 60 * 60 * 1000;
+const RECYCLE_BIN_PURGE_INTERVAL = 60 * 60 * 1000;
+const RECYCLE_BIN_LIST_LIMIT = 25; // cards listed by /bin
+
+// Cache limits. Cached users are reloaded from the database after going idle for the TTL.
+const USER_CACHE_MAX_USERS = Number(process.env.USER_CACHE_MAX_USERS) || 1000;
+const USER_CACHE_TTL = (Number(process.env.USER_CACHE_TTL_MINUTES) || 30) * 60 * 1000;
+const IMAGE_CACHE_MAX_BYTES = (Number(process.env.IMAGE_CACHE_MAX_MB) || 256) * 1024 * 1024;
+const COMBINED_IMAGE_CACHE_MAX_BYTES = (Number(process.env.COMBINED_IMAGE_CACHE_MAX_MB) || 64) * 1024 * 1024;
+const CACHE_PRUNE_INTERVAL = 5 * 60 * 1000;
+
+// Rarity tiers, lowest to highest. Weight = relative chance of that tier dropping.
+// `dust` is what burning a PSA 5 copy pays out (see burnValue)
+const RARITY_TIERS = [
+  { key: 'common', label: 'Common', emoji: '⚪', weight: 60, dust: 5 },
+  { key: 'uncommon', label: 'Uncommon', emoji: '🟢', weight: 25, dust: 10 },
+  { key: 'rare', label: 'Rare', emoji: '🔵', weight: 9, dust: 25 },
+  { key: 'holo', label: 'Holo Rare', emoji: '🟣', weight: 4, dust: 50 },
+  { key: 'ultra', label: 'Ultra Rare', emoji: '🟠', weight: 1.5, dust: 100 },
+  { key: 'secret', label: 'Secret Rare', emoji: '🌈', weight: 0.5, dust: 250 }
+];
+
+// Crafting a card costs this many times its rarity's base burn value
+const CRAFT_COST_MULTIPLIER = 8;
+const DUST_LEDGER_LIMIT = 8; // transactions shown by /balance
+const BURN_PREVIEW_TIMEOUT = 5 * 60 * 1000; // how long a /burnextras preview can be confirmed
+
+// Owning every card of a set pays this much dust once and earns that set's badge on /progress
+const SET_COMPLETION_DUST = Number(process.env.SET_COMPLETION_DUST) || 1000;
+const SET_BADGE = '🏅';
+const PROGRESS_MISSING_LIMIT = 40; // missing cards listed by /progress for a single set
+
+// Drop table used by draw, pack and pick. Override with e.g. RARITY_WEIGHTS="common=50,rare=20"
+const RARITY_WEIGHTS = parseRarityWeights(process.env.RARITY_WEIGHTS);
+
+function parseRarityWeights(value) {
+  const weights = {};
+  RARITY_TIERS.forEach(tier => { weights[tier.key] = tier.weight; });
+  if (!value) return weights;
+
+  for (const pair of value.split(',')) {
+    const [key, rawWeight] = pair.split('=').map(part => part.trim());
+    const weight = Number(rawWeight);
+    if (!(key in weights) || !Number.isFinite(weight) || weight < 0) {
+      console.warn(`Ignoring invalid RARITY_WEIGHTS entry: "${pair}"`);
+      continue;
+    }
+    weights[key] = weight;
+  }
+  return weights;
+}
+
 console.log('TEST_MODE:', TEST_MODE);
 console.log('PRELOAD_IMAGES:', PRELOAD_IMAGES);
 console.log('Draw cooldown:', DRAW_COOLDOWN, 'ms');
 console.log('Pack cooldown:', PACK_COOLDOWN, 'ms');
+console.log('Rarity weights:', RARITY_WEIGHTS);
 
 // ------------------- SUPABASE -------------------
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Card images always come from Supabase Storage; the database backend is chosen by STORAGE_BACKEND
+const supabase = process.env.SUPABASE_URL
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+  : null;
+
+// ------------------- STORAGE -------------------
+const db = createStorage({ supabase });
+console.log('Storage backend:', db.name);
 
 // This will hold all card definitions loaded from Supabase
 let cards = [];
 
 // Configuration for all card sets
+// A bucket may carry a manifest (manifest.json or manifest.csv, or the file named by `manifest`)
+// that gives each image its real metadata. JSON is an array of entries (or an object keyed by file);
+// CSV needs a header row. Each entry needs `file` and may have name, number, rarity, type, hp -
+// any other fields are kept on the card as `attributes`. Images without an entry fall back to
+// parsing the file name.
 const cardSets = [
   { bucket: 'baseSet2', displayName: 'Base Set 2' },
   { bucket: 'crowZenith', displayName: 'Crown Zenith' },
@@ -60,11 +144,19 @@ const cardSets = [
   { bucket: 'ultraPrism', displayName: 'Ultra Prism' }
 ];
 
+const MANIFEST_FILE_NAMES = ['manifest.json', 'manifest.csv'];
+const MANIFEST_FIELDS = ['file', 'filename', 'image', 'name', 'number', 'rarity', 'type', 'hp'];
+
 // Load all files from all buckets and convert them to card objects
 async function loadCardsFromSupabase() {
   console.log('Loading cards from Supabase...');
   cards = [];
 
+  if (!supabase) {
+    console.warn('⚠️  SUPABASE_URL is not set - no cards loaded');
+    return;
+  }
+
   for (const set of cardSets) {
     const { data, error } = await supabase
       .storage
@@ -85,46 +177,52 @@ async function loadCardsFromSupabase() {
       file.name.endsWith('.gif')
     );
 
+    const manifestName = set.manifest || (data || [])
+      .map(file => file.name)
+      .find(name => MANIFEST_FILE_NAMES.includes(name));
+    const manifest = manifestName ? await loadSetManifest(set, manifestName) : null;
+
+    const unlisted = [];
     const setCards = imageFiles.map(file => {
       const id = file.name.split('.')[0];
-      
-      // Parse the card name intelligently
-      // Filter out: language codes (en_US, fr, etc), set codes (SWSH4, b2, etc), numbers
-      const parts = id.split('-');
-      const filteredParts = parts.filter(part => {
-        // Skip if it's a number
-        if (/^\d+$/.test(part)) return false;
-        // Skip language codes (en_US, en, fr, ja, etc)
-        if (/^[a-z]{2}(_[A-Z]{2})?$/i.test(part)) return false;
-        // Skip set codes (SWSH4, B2, XY1, etc - letters followed by numbers)
-        if (/^[a-z]+\d+$/i.test(part)) return false;
-        // Skip single letters
-        if (part.length === 1) return false;
-        return true;
-      });
-      
-      const name = filteredParts
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
+      const entry = manifest && (manifest.get(file.name) || manifest.get(id));
+      if (entry) entry.matched = true;
+      else if (manifest) unlisted.push(file.name);
 
-      return {
+      const card = {
         id,
-        name: name || 'Unknown Card',
-        rarity: 'common',
+        name: parseCardNameFromFileName(id),
+        number: null,
+        rarity: inferRarityFromFileName(id),
+        type: null,
+        hp: null,
+        attributes: {},
         set: set.displayName,
         imageUrl: `${process.env.SUPABASE_URL}/storage/v1/object/public/${set.bucket}/${file.name}`
       };
+
+      return entry ? applyManifestEntry(card, entry, set) : card;
     });
 
+    if (manifest) {
+      reportManifestMismatches(set, manifestName, manifest, unlisted);
+    }
+
     cards.push(...setCards);
-    console.log(`✅ Loaded ${setCards.length} cards from ${set.displayName}`);
+    console.log(`✅ Loaded ${setCards.length} cards from ${set.displayName}${manifest ? ` (manifest: ${manifestName})` : ''}`);
   }
 
-  // Build lookup map for fast inventory access
+  // Build lookup maps for fast inventory access and weighted drops
   cardMap.clear();
-  cards.forEach(card => cardMap.set(card.id, card));
+  cardsByRarity.clear();
+  RARITY_TIERS.forEach(tier => cardsByRarity.set(tier.key, []));
+  cards.forEach(card => {
+    cardMap.set(card.id, card);
+    cardsByRarity.get(card.rarity).push(card);
+  });
 
   console.log(`✅ Total: ${cards.length} cards loaded from all sets`);
+  console.log('   By rarity:', RARITY_TIERS.map(tier => `${tier.key}=${cardsByRarity.get(tier.key).length}`).join(', '));
   
   // Preload all images into cache for instant access (if enabled)
   if (PRELOAD_IMAGES) {
@@ -140,289 +238,1233 @@ async function loadCardsFromSupabase() {
     }
     
     const preloadTime = ((Date.now() - preloadStart) / 1000).toFixed(2);
-    console.log(`✅ All images preloaded in ${preloadTime}s - pick commands will be instant!`);
+    if (imageCache.evictions) {
+      console.warn(`⚠️  Image cache is full - kept ${imageCache.size}/${cards.length} images (raise IMAGE_CACHE_MAX_MB to keep all)`);
+    }
+    console.log(`✅ Images preloaded in ${preloadTime}s - pick commands will be instant!`);
   } else {
     console.log('ℹ️  Image preloading disabled - images will load on demand');
   }
 }
 
-// ------------------- DATABASE FUNCTIONS -------------------
-// In-memory cache for active sessions
-const userData = {};
+// Parse the card name intelligently from a file name (fallback when there is no manifest entry)
+// Filter out: language codes (en_US, fr, etc), set codes (SWSH4, b2, etc), numbers
+function parseCardNameFromFileName(id) {
+  const parts = id.split('-');
+  const filteredParts = parts.filter(part => {
+    // Skip if it's a number
+    if (/^\d+$/.test(part)) return false;
+    // Skip language codes (en_US, en, fr, ja, etc)
+    if (/^[a-z]{2}(_[A-Z]{2})?$/i.test(part)) return false;
+    // Skip set codes (SWSH4, B2, XY1, etc - letters followed by numbers)
+    if (/^[a-z]+\d+$/i.test(part)) return false;
+    // Skip single letters
+    if (part.length === 1) return false;
+    return true;
+  });
 
-// Load user data from Supabase
-async function getUserData(userId) {
-  // Check memory cache first
-  if (userData[userId]) {
-    return userData[userId];
-  }
+  const name = filteredParts
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
 
+  return name || 'Unknown Card';
+}
+
+// Download and parse a set's manifest. Returns a Map of file name -> entry, or null on failure.
+async function loadSetManifest(set, fileName) {
   try {
-    // Load user from database
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    const { data, error } = await supabase
+      .storage
+      .from(set.bucket)
+      .download(fileName);
+
+    if (error) {
+      console.error(`Error downloading manifest ${set.bucket}/${fileName}:`, error);
+      return null;
+    }
 
-    if (userError && userError.code !== 'PGRST116') { // PGRST116 = not found
-      console.error('Error loading user:', userError);
+    const text = await data.text();
+    let rows;
+    if (fileName.endsWith('.csv')) {
+      rows = parseCsv(text);
+    } else {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed)
+        ? parsed
+        : Object.entries(parsed).map(([file, entry]) => ({ file, ...entry }));
     }
 
-    // Load inventory from database
-    const { data: inventory, error: invError } = await supabase
-      .from('inventory')
-      .select('*')
-      .eq('user_id', userId)
-      .order('obtained_at', { ascending: true });
+    const manifest = new Map();
+    rows.forEach((row, i) => {
+      const file = String(row.file || row.filename || row.image || '').trim();
+      if (!file) {
+        console.warn(`⚠️  ${set.displayName} manifest: entry ${i + 1} has no file name, skipped`);
+        return;
+      }
+      manifest.set(file, { ...row, file, matched: false });
+    });
+    return manifest;
+  } catch (error) {
+    console.error(`Error parsing manifest ${set.bucket}/${fileName}:`, error);
+    return null;
+  }
+}
 
-    if (invError) {
-      console.error('Error loading inventory:', invError);
+// Minimal CSV parser: header row, comma separated, double-quoted fields with "" escapes
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
     }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(key => key.trim().toLowerCase());
+  return rows.map(values => {
+    const row = {};
+    keys.forEach((key, i) => {
+      const value = (values[i] ?? '').trim();
+      if (value !== '') row[key] = value;
+    });
+    return row;
+  });
+}
+
+// Map free-form rarity text ("Rare Holo V", "Secret Rare") onto a rarity tier key
+function normalizeRarity(value) {
+  if (!value) return null;
+  const text = String(value).toLowerCase().trim();
+  if (RARITY_TIERS.some(tier => tier.key === text)) return text;
+  if (/secret|rainbow|gold|hyper/.test(text)) return 'secret';
+  if (/ultra|vmax|vstar|\bv\b|\bgx\b|\bex\b|full art|illustration/.test(text)) return 'ultra';
+  if (/holo/.test(text)) return 'holo';
+  if (/uncommon/.test(text)) return 'uncommon';
+  if (/rare|promo/.test(text)) return 'rare';
+  if (/common/.test(text)) return 'common';
+  return null;
+}
+
+// Overlay a manifest entry onto a card built from its file name
+function applyManifestEntry(card, entry, set) {
+  const rarity = normalizeRarity(entry.rarity);
+  if (entry.rarity && !rarity) {
+    console.warn(`⚠️  ${set.displayName} manifest: unknown rarity "${entry.rarity}" for ${entry.file}, using ${card.rarity}`);
+  }
+
+  const hp = entry.hp !== undefined && entry.hp !== '' ? Number(entry.hp) : null;
+  const attributes = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!MANIFEST_FIELDS.includes(key) && key !== 'matched') attributes[key] = value;
+  }
+
+  return {
+    ...card,
+    name: entry.name ? String(entry.name).trim() : card.name,
+    number: entry.number !== undefined && entry.number !== '' ? String(entry.number).trim() : null,
+    rarity: rarity || card.rarity,
+    type: entry.type ? String(entry.type).trim() : null,
+    hp: Number.isFinite(hp) ? hp : null,
+    attributes
+  };
+}
+
+// Log images missing from the manifest and manifest entries with no image
+function reportManifestMismatches(set, manifestName, manifest, unlisted) {
+  const missingImages = [...manifest.values()]
+    .filter(entry => !entry.matched)
+    .map(entry => entry.file);
+  const preview = list => list.slice(0, 5).join(', ') + (list.length > 5 ? `, … (+${list.length - 5})` : '');
+
+  if (unlisted.length) {
+    console.warn(`⚠️  ${set.displayName}: ${unlisted.length} image(s) not in ${manifestName}, using file names: ${preview(unlisted)}`);
+  }
+  if (missingImages.length) {
+    console.warn(`⚠️  ${set.displayName}: ${missingImages.length} ${manifestName} entr${missingImages.length === 1 ? 'y has' : 'ies have'} no image: ${preview(missingImages)}`);
+  }
+}
+
+// ------------------- DATABASE FUNCTIONS -------------------
+// In-memory cache for active sessions (least recently used users are dropped first)
+const userData = new LruCache({
+  name: 'User data',
+  maxEntries: USER_CACHE_MAX_USERS,
+  ttl: USER_CACHE_TTL,
+  // Rough per-object overhead: ~120 bytes per inventory row
+  sizeOf: data => 200 + data.inventory.length * 120
+});
+
+// Load user data from the database
+async function getUserData(userId) {
+  // Check memory cache first
+  const cached = userData.get(userId);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    // Load user and inventory from database
+    const user = await db.getUser(userId);
+    const inventory = await db.getInventory(userId);
 
     // Create user data object
-    userData[userId] = {
+    const data = userData.set(userId, {
       inventory: inventory || [],
       lastDraw: user?.last_draw || 0,
       lastPack: user?.last_pack || 0,
       lastPick: user?.last_pick || 0,
-      pickChoices: []
-    };
+      binderPrivate: Boolean(user?.binder_private)
+    });
 
-    // If user doesn't exist in DB, create them
+    // If user doesn't exist in DB, create them. A failure here must not replace the data
+    // just loaded with the empty fallback below.
     if (!user) {
-      await supabase.from('users').insert({
-        user_id: userId,
-        last_draw: 0,
-        last_pack: 0,
-        last_pick: 0
-      });
+      await db.createUser(userId)
+        .catch(createError => console.error('Error creating user:', createError));
     }
 
-    return userData[userId];
+    return data;
   } catch (error) {
     console.error('Error in getUserData:', error);
     // Fallback to empty data
-    userData[userId] = {
+    return userData.set(userId, {
       inventory: [],
       lastDraw: 0,
       lastPack: 0,
       lastPick: 0,
-      pickChoices: []
-    };
-    return userData[userId];
+      binderPrivate: false
+    });
   }
 }
 
 // Save user cooldowns to database
 async function saveUserCooldowns(userId, data) {
   try {
-    await supabase
-      .from('users')
-      .upsert({
-        user_id: userId,
-        last_draw: data.lastDraw,
-        last_pack: data.lastPack,
-        last_pick: data.lastPick
-      });
+    await db.saveCooldowns(userId, data);
   } catch (error) {
     console.error('Error saving cooldowns:', error);
   }
 }
 
-// Add card to user's inventory in database
-async function addCardToInventory(userId, cardId, obtainedAt, instanceId) {
-  try {
-    const { error } = await supabase
-      .from('inventory')
-      .insert({
-        user_id: userId,
-        card_id: cardId,
-        obtained_at: obtainedAt,
-        instance_id: instanceId
-      });
+const GRANT_FAILED_MESSAGE = '❌ Failed to save your cards. Nothing was added and your cooldown wasn\'t used - please try again.';
+
+// Give a user newly obtained cards: rolls instance IDs and grades, stores every card in one
+// all-or-nothing write and only then adds them to the cached inventory. Call inside the user's lock.
+// Returns { entries, completedSets } (sets these cards completed, see checkSetCompletions);
+// throws if the cards couldn't be stored.
+async function grantCards(userId, cardList, obtainedAt) {
+  const instanceIds = await generateCardInstanceIds(cardList.length);
+  const entries = cardList.map((card, i) => ({
+    card_id: card.id,
+    obtained_at: obtainedAt,
+    instance_id: instanceIds[i],
+    psa_grade: rollPsaGrade()
+  }));
 
-    if (error) {
-      console.error('Error adding card to inventory:', error);
-    }
+  try {
+    await db.addInventoryItems(entries.map(entry => ({ user_id: userId, ...entry })));
+    inventoryCount += entries.length;
+    userData.peek(userId)?.inventory.push(...entries);
   } catch (error) {
-    console.error('Error in addCardToInventory:', error);
+    console.error('Error granting cards:', error);
+    throw error;
+  } finally {
+    instanceIds.forEach(id => reservedInstanceIds.delete(id));
   }
+
+  return { entries, completedSets: await checkSetCompletions(userId, cardList, obtainedAt) };
 }
 
-function randomCard() {
-  if (!cards.length) return null;
-  const i = Math.floor(Math.random() * cards.length);
-  return cards[i];
+// ------------------- USER LOCKS -------------------
+// State-changing actions (draw, pack, pick, burn, trades, clearbinder) run one at a time
+// per user, so a cooldown check and the grant that follows can't interleave with a second click
+// or a text command racing a slash command.
+const userLocks = new Map(); // userId -> settles when that user's last queued action is done
+
+// Run `fn` once every earlier locked action for all of `userIds` has finished.
+// Queues are joined synchronously, so locking two users at once can't deadlock.
+function withUserLock(userIds, fn) {
+  const ids = [...new Set([].concat(userIds))];
+  const run = Promise.all(ids.map(id => userLocks.get(id))).then(() => fn());
+  const done = run.catch(() => {});
+
+  ids.forEach(id => userLocks.set(id, done));
+  done.then(() => {
+    ids.forEach(id => {
+      if (userLocks.get(id) === done) userLocks.delete(id);
+    });
+  });
+
+  return run;
 }
 
-// Generate unique card instance ID (po1234 format)
-function generateCardInstanceId() {
-  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let id = 'po';
-  for (let i = 0; i < 4; i++) {
-    id += chars[Math.floor(Math.random() * chars.length)];
-  }
-  return id;
+// Draw one card if the draw cooldown is up.
+// Returns { card, entry, completedSets }, { remaining } while on cooldown, or { error: 'no_cards' | 'failed' }.
+function claimDraw(userId, now) {
+  return withUserLock(userId, async () => {
+    const data = await getUserData(userId);
+    const elapsed = now - data.lastDraw;
+    if (elapsed < DRAW_COOLDOWN) return { remaining: DRAW_COOLDOWN - elapsed };
+
+    const card = randomCard();
+    if (!card) return { error: 'no_cards' };
+
+    // The cooldown only starts once the card is stored
+    let granted;
+    try {
+      granted = await grantCards(userId, [card], now);
+    } catch (error) {
+      return { error: 'failed' };
+    }
+
+    data.lastDraw = now;
+    await saveUserCooldowns(userId, data);
+    return { card, entry: granted.entries[0], completedSets: granted.completedSets };
+  });
 }
 
-// Create a card lookup map for faster inventory access
-const cardMap = new Map();
+// Open a pack: pulls 5 cards, stores them as a unit and only then starts the pack cooldown.
+// Returns { pulled, completedSets } (pulled: cards with instance_id and psa_grade), { remaining } while on cooldown,
+// or { error: 'no_cards' | 'failed' } - on failure nothing was added and the cooldown is untouched.
+function claimPack(userId, now) {
+  return withUserLock(userId, async () => {
+    const data = await getUserData(userId);
+    const elapsed = now - data.lastPack;
+    if (elapsed < PACK_COOLDOWN) return { remaining: PACK_COOLDOWN - elapsed };
 
-// Image cache to avoid re-downloading
-const imageCache = new Map();
+    const packSize = 5;
+    const packCards = [];
+    for (let i = 0; i < packSize; i++) {
+      const card = randomCard();
+      if (!card) break;
+      packCards.push(card);
+    }
+    if (!packCards.length) return { error: 'no_cards' };
 
-// Combined image cache (for pick command)
-const combinedImageCache = new Map();
+    let granted;
+    try {
+      granted = await grantCards(userId, packCards, now);
+    } catch (error) {
+      return { error: 'failed' };
+    }
 
-// Server configuration (guild_id -> channel_id)
-const serverConfig = new Map();
+    data.lastPack = now;
+    await saveUserCooldowns(userId, data);
+
+    const pulled = packCards.map((card, i) => ({
+      ...card,
+      instance_id: granted.entries[i].instance_id,
+      psa_grade: granted.entries[i].psa_grade
+    }));
+    return { pulled, completedSets: granted.completedSets };
+  });
+}
 
-// Admin configuration (user_id -> boolean)
-const adminUsers = new Set();
+// Start a pick session if the pick cooldown is up. The 3 choices are kept in the database until
+// one is picked or the session expires.
+// Returns { session, choices }, { remaining } while on cooldown, or { error: 'no_cards' | 'failed' }.
+function startPick(userId, now) {
+  return withUserLock(userId, async () => {
+    const data = await getUserData(userId);
+    const elapsed = now - data.lastPick;
+    if (elapsed < PICK_COOLDOWN) return { remaining: PICK_COOLDOWN - elapsed };
 
-// Load server configurations from database
-async function loadServerConfigs() {
-  try {
-    const { data, error } = await supabase
-      .from('server_config')
-      .select('*');
-    
-    if (error) {
-      console.error('Error loading server configs:', error);
-      return;
+    // Draw 3 random cards
+    const choices = [];
+    for (let i = 0; i < 3; i++) {
+      const card = randomCard();
+      if (!card) break;
+      choices.push(card);
     }
-    
-    if (data) {
-      data.forEach(config => {
-        serverConfig.set(config.guild_id, config.channel_id);
+    if (choices.length < 3) return { error: 'no_cards' };
+
+    let session;
+    try {
+      session = await db.createPickSession({
+        userId,
+        cardIds: choices.map(card => card.id),
+        createdAt: now,
+        expiresAt: now + PICK_TIMEOUT
       });
-      console.log(`Loaded ${data.length} server configurations`);
+    } catch (error) {
+      console.error('Error creating pick session:', error);
+      return { error: 'failed' };
     }
+
+    data.lastPick = now;
+    await saveUserCooldowns(userId, data);
+    return { session, choices };
+  });
+}
+
+// Close a pick session on choice `index` and give its owner that card. Call inside the owner's lock.
+// Returns { card, entry, completedSets } or { error: 'invalid' | 'closed' | 'failed' }.
+async function completePick(session, index, status, now) {
+  const card = cardMap.get(session.card_ids[index]);
+  if (!card) return { error: 'invalid' };
+
+  // Only an open session closes, so a click and the expiry sweep can't both grant a card
+  if (!await db.closePickSession(session.id, status, card.id, now)) return { error: 'closed' };
+
+  try {
+    const { entries: [entry], completedSets } = await grantCards(session.user_id, [card], now);
+    Object.assign(session, { status, picked_card_id: card.id, resolved_at: now });
+    return { card, entry, completedSets };
   } catch (error) {
-    console.error('Error in loadServerConfigs:', error);
+    // Reopen the session so the card can still be picked
+    await db.reopenPickSession(session.id)
+      .catch(reopenError => console.error('Error reopening pick session:', reopenError));
+    return { error: 'failed' };
   }
 }
 
-// Load admins from database
-async function loadAdmins() {
-  try {
-    const { data, error } = await supabase
-      .from('admins')
-      .select('*');
-    
-    if (error) {
-      console.error('Error loading admins:', error);
-      return;
+// Keep choice `index` of a pick session. Only its owner can pick, and only until it expires.
+// Returns { session, card, entry, completedSets } or { error: 'no_session' | 'not_owner' | 'closed' | 'invalid' | 'failed' }.
+function claimPick(sessionId, userId, index, now) {
+  return withUserLock(userId, async () => {
+    let session;
+    try {
+      session = await db.getPickSession(sessionId);
+    } catch (error) {
+      console.error('Error loading pick session:', error);
+      return { error: 'failed' };
     }
-    
-    if (data) {
-      adminUsers.clear();
-      data.forEach(admin => {
-        adminUsers.add(admin.user_id);
-      });
-      console.log(`Loaded ${data.length} admin users`);
+
+    if (!session) return { error: 'no_session' };
+    if (session.user_id !== userId) return { error: 'not_owner' };
+    if (session.status !== 'open' || session.expires_at <= now) return { error: 'closed' };
+
+    return { session, ...await completePick(session, index, 'picked', now) };
+  });
+}
+
+// Spend dust on a new copy of `card` (with a random grade).
+// Returns { entry, cost, balance, completedSets }, { error: 'insufficient', cost, balance } or { error: 'failed' }.
+function claimCraft(userId, card, now) {
+  return withUserLock(userId, async () => {
+    const cost = craftCost(card);
+    const [instanceId] = await generateCardInstanceIds(1);
+    const entry = {
+      card_id: card.id,
+      obtained_at: now,
+      instance_id: instanceId,
+      psa_grade: rollPsaGrade()
+    };
+
+    try {
+      const balance = await db.craftInventoryItem({ user_id: userId, ...entry }, cost, now);
+      if (balance === null) {
+        return { error: 'insufficient', cost, balance: await db.getBalance(userId) };
+      }
+
+      inventoryCount++;
+      userData.peek(userId)?.inventory.push(entry);
+
+      const completedSets = await checkSetCompletions(userId, [card], now);
+      const latestBalance = completedSets.length ? completedSets[completedSets.length - 1].balance : balance;
+      return { entry, cost, balance: latestBalance, completedSets };
+    } catch (error) {
+      console.error('Error crafting card:', error);
+      return { error: 'failed' };
+    } finally {
+      reservedInstanceIds.delete(instanceId);
     }
+  });
+}
+
+// Pay the one-time reward for each of `setNames` the user now owns every card of.
+// Call inside the user's lock. Returns [{ setName, balance }] for the sets completed just now.
+async function awardSetCompletions(userId, setNames, now) {
+  const data = await getUserData(userId);
+  const complete = setProgress(data.inventory)
+    .filter(set => setNames.includes(set.setName) && isSetComplete(set));
+  if (!complete.length) return [];
+
+  const completed = new Set((await db.listSetCompletions(userId)).map(row => row.set_name));
+  const rewarded = [];
+  for (const set of complete) {
+    if (completed.has(set.setName)) continue;
+    const balance = await db.completeSet(userId, set.setName, SET_COMPLETION_DUST, now);
+    if (balance !== null) rewarded.push({ setName: set.setName, balance });
+  }
+  return rewarded;
+}
+
+// Sets the user just completed by receiving `cardList` (see awardSetCompletions), for the reveal.
+// Call inside the user's lock. Never throws: the cards are already theirs, and a failed check
+// is made up by the next grant or /progress.
+async function checkSetCompletions(userId, cardList, now) {
+  const setNames = [...new Set(cardList.map(card => card?.set).filter(Boolean))];
+  if (!setNames.length) return [];
+  try {
+    return await awardSetCompletions(userId, setNames, now);
   } catch (error) {
-    console.error('Error in loadAdmins:', error);
+    console.error('Error checking set completions:', error);
+    return [];
   }
 }
 
-// Add admin to database
-async function addAdmin(userId) {
+// Set progress for a user, paying the one-time reward for any complete set that hasn't had it yet.
+// Returns { progress, completions (set_completions rows), rewarded (set names), balance }
+// or { error: 'failed' }; balance is null unless something was rewarded.
+function claimSetRewards(userId, now) {
+  return withUserLock(userId, async () => {
+    try {
+      const rewarded = await awardSetCompletions(userId, cardSets.map(set => set.displayName), now);
+      const data = await getUserData(userId);
+      return {
+        progress: setProgress(data.inventory),
+        completions: await db.listSetCompletions(userId),
+        rewarded: rewarded.map(set => set.setName),
+        balance: rewarded.length ? rewarded[rewarded.length - 1].balance : null
+      };
+    } catch (error) {
+      console.error('Error claiming set rewards:', error);
+      return { error: 'failed' };
+    }
+  });
+}
+
+// Guess a rarity from file name keywords (e.g. "charizard-vmax-swsh4-20")
+function inferRarityFromFileName(id) {
+  const parts = id.toLowerCase().split(/[-_]/);
+  if (parts.some(part => ['secret', 'gold', 'rainbow', 'hyper'].includes(part))) return 'secret';
+  if (parts.some(part => ['v', 'vmax', 'vstar', 'gx', 'ex', 'gg', 'tg', 'fullart'].includes(part))) return 'ultra';
+  if (parts.some(part => ['holo', 'reverse'].includes(part))) return 'holo';
+  if (parts.includes('rare')) return 'rare';
+  if (parts.includes('uncommon')) return 'uncommon';
+  return 'common';
+}
+
+// Pick a rarity tier by weight, then a card uniformly from that tier.
+// Tiers with no cards are skipped so their weight is spread over the rest.
+function randomCard(weights = RARITY_WEIGHTS) {
+  if (!cards.length) return null;
+
+  const tiers = RARITY_TIERS.filter(tier =>
+    weights[tier.key] > 0 && cardsByRarity.get(tier.key)?.length
+  );
+  if (!tiers.length) {
+    return cards[Math.floor(Math.random() * cards.length)];
+  }
+
+  const totalWeight = tiers.reduce((sum, tier) => sum + weights[tier.key], 0);
+  let roll = Math.random() * totalWeight;
+  let chosen = tiers[tiers.length - 1];
+  for (const tier of tiers) {
+    roll -= weights[tier.key];
+    if (roll < 0) {
+      chosen = tier;
+      break;
+    }
+  }
+
+  const pool = cardsByRarity.get(chosen.key);
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+// Card instance IDs are "po" + base-36 characters. They start at 4 characters and grow
+// once the current length is half used, so random picks rarely collide.
+const INSTANCE_ID_PREFIX = 'po';
+const INSTANCE_ID_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const INSTANCE_ID_MIN_LENGTH = 4;
+const INSTANCE_ID_MAX_FILL = 0.5;
+const INSTANCE_ID_MAX_ATTEMPTS = 10;
+
+// Total card instances in the database (sizes new IDs)
+let inventoryCount = 0;
+
+// IDs handed out but not inserted yet, so concurrent grants can't pick the same one
+const reservedInstanceIds = new Set();
+
+function instanceIdLength() {
+  let length = INSTANCE_ID_MIN_LENGTH;
+  while (inventoryCount + reservedInstanceIds.size >= Math.pow(INSTANCE_ID_CHARS.length, length) * INSTANCE_ID_MAX_FILL) {
+    length++;
+  }
+  return length;
+}
+
+function randomInstanceId(length) {
+  let id = INSTANCE_ID_PREFIX;
+  for (let i = 0; i < length; i++) {
+    id += INSTANCE_ID_CHARS[Math.floor(Math.random() * INSTANCE_ID_CHARS.length)];
+  }
+  return id;
+}
+
+// Generate `count` instance IDs that are unused in the database and not reserved by another grant.
+// IDs stay reserved until grantCards releases them.
+async function generateCardInstanceIds(count) {
+  const ids = [];
+
+  for (let attempt = 1; ids.length < count; attempt++) {
+    if (attempt > INSTANCE_ID_MAX_ATTEMPTS) {
+      ids.forEach(id => reservedInstanceIds.delete(id));
+      throw new Error(`Could not generate ${count} unique card instance IDs`);
+    }
+
+    // Repeated collisions mean the space is denser than the count suggests: go longer
+    const length = instanceIdLength() + (attempt > INSTANCE_ID_MAX_ATTEMPTS / 2 ? 1 : 0);
+    const candidates = new Set();
+    while (candidates.size < count - ids.length) {
+      const id = randomInstanceId(length);
+      if (!reservedInstanceIds.has(id)) candidates.add(id);
+    }
+
+    const taken = await findExistingInstanceIds([...candidates]);
+    for (const id of candidates) {
+      if (taken.has(id)) continue;
+      reservedInstanceIds.add(id);
+      ids.push(id);
+    }
+  }
+
+  return ids;
+}
+
+// Return the subset of `instanceIds` already used in the database
+async function findExistingInstanceIds(instanceIds) {
   try {
-    adminUsers.add(userId);
-    
-    await supabase
-      .from('admins')
-      .upsert({
-        user_id: userId
-      });
-    
-    return true;
+    return new Set(await db.findExistingInstanceIds(instanceIds));
   } catch (error) {
-    console.error('Error adding admin:', error);
-    return false;
+    // The unique index on inventory.instance_id still rejects a duplicate insert
+    console.error('Error checking instance IDs:', error);
+    return new Set();
   }
 }
 
-// Remove admin from database
-async function removeAdmin(userId) {
+// Count all card instances so new IDs are sized for the current collection
+async function loadInventoryCount() {
   try {
-    adminUsers.delete(userId);
-    
-    await supabase
-      .from('admins')
-      .delete()
-      .eq('user_id', userId);
-    
-    return true;
+    inventoryCount = await db.countInventory();
+    console.log(`Loaded inventory count: ${inventoryCount} cards (new IDs use ${instanceIdLength()} characters)`);
   } catch (error) {
-    console.error('Error removing admin:', error);
-    return false;
+    console.error('Error in loadInventoryCount:', error);
   }
 }
 
-// Check if user is admin
-function isAdmin(userId) {
-  return adminUsers.has(userId);
+// Find a card instance across all users
+async function findCardInstance(instanceId) {
+  try {
+    return await db.findInventoryItem(instanceId);
+  } catch (error) {
+    console.error('Error looking up card instance:', error);
+    return null;
+  }
 }
 
-// Set channel for a guild
-async function setGuildChannel(guildId, channelId) {
+// Whether a trainer hides their binder and cards from others, without loading their inventory.
+// Errs on the private side if it can't be checked.
+async function isBinderPrivate(userId) {
+  const cached = userData.peek(userId);
+  if (cached) return cached.binderPrivate;
   try {
-    serverConfig.set(guildId, channelId);
-    
-    await supabase
-      .from('server_config')
-      .upsert({
-        guild_id: guildId,
-        channel_id: channelId
-      });
-    
+    return Boolean((await db.getUser(userId))?.binder_private);
+  } catch (error) {
+    console.error('Error checking binder privacy:', error);
     return true;
+  }
+}
+
+// Reload a cached user's inventory after it changed outside their own commands (e.g. trades)
+async function refreshInventory(userId) {
+  const data = userData.peek(userId);
+  if (!data) return;
+  try {
+    data.inventory = await db.getInventory(userId);
   } catch (error) {
-    console.error('Error setting guild channel:', error);
-    return false;
+    console.error('Error refreshing inventory:', error);
   }
 }
 
-// Check if command is allowed in this channel
-function isAllowedChannel(guildId, channelId) {
-  // If no config set for this guild, allow all channels
-  if (!serverConfig.has(guildId)) return true;
-  
-  // Check if this channel matches the configured channel
-  return serverConfig.get(guildId) === channelId;
+// Parse "po1a2b, po3c4d po5e6f" into unique lowercase instance IDs
+function parseInstanceIds(text) {
+  const ids = (text || '')
+    .split(/[\s,]+/)
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(ids)];
 }
 
-// Function to fetch and cache image
-async function fetchAndCacheImage(url) {
-  // Check if already cached
-  if (imageCache.has(url)) {
-    return imageCache.get(url);
-  }
+// Describe the cards in a trade, e.g. "**PIKACHU** (`po1a2b`)"
+function formatTradeCards(items, separator = ', ') {
+  return items
+    .map(item => {
+      const card = cardMap.get(item.card_id);
+      return `**${card ? formatCardName(card.name) : 'Unknown'}** (\`${item.instance_id}\`)`;
+    })
+    .join(separator);
+}
 
-  // Fetch and cache
-  const response = await axios.get(url, { responseType: 'arraybuffer' });
-  const buffer = Buffer.from(response.data);
-  const image = await loadImage(buffer);
-  
-  // Store in cache
-  imageCache.set(url, image);
-  
-  return image;
+// Split a trade's items into what each party gives
+function getTradeSides(trade) {
+  const items = trade.items || [];
+  return {
+    senderItems: items.filter(item => item.owner_id === trade.sender_id),
+    receiverItems: items.filter(item => item.owner_id === trade.receiver_id)
+  };
 }
 
-// Function to combine 3 card images horizontally
-async function combineCardImages(card1Url, card2Url, card3Url) {
-  try {
-    // Create cache key from the 3 URLs
-    const cacheKey = `${card1Url}|${card2Url}|${card3Url}`;
+// The trainer who still has to accept a pending trade
+function getTradeAwaitingUserId(trade) {
+  return trade.receiver_confirmed ? trade.sender_id : trade.receiver_id;
+}
+
+// Message content for a trade that is no longer pending
+function formatTradeStatus(trade) {
+  const { senderItems, receiverItems } = getTradeSides(trade);
+  const cardsText = senderItems.length ? formatTradeCards(senderItems) : 'the offered cards';
+  switch (trade.status) {
+    case 'accepted': {
+      // completedSets is only there right after the swap (see acceptTradeFor)
+      const completed = Object.entries(trade.completedSets || {})
+        .map(([userId, sets]) => formatSetCompletions(userId, sets))
+        .join('');
+      if (!receiverItems.length) {
+        return `✅ Trade completed! <@${trade.sender_id}> traded ${cardsText} to <@${trade.receiver_id}>${completed}`;
+      }
+      return `✅ Trade completed! <@${trade.sender_id}> traded ${cardsText} for ${formatTradeCards(receiverItems)} from <@${trade.receiver_id}>${completed}`;
+    }
+    case 'declined':
+      return `❌ <@${trade.receiver_id}> declined the trade.`;
+    case 'cancelled':
+      return `🚫 <@${trade.sender_id}> cancelled the trade.`;
+    case 'expired':
+      return `⌛ This trade offer from <@${trade.sender_id}> to <@${trade.receiver_id}> expired.`;
+    default:
+      return `📦 Trade #${trade.id} is still pending.`;
+  }
+}
+
+// Message payload for a closed trade (drops the embed, image and buttons)
+function closedTradeMessage(trade) {
+  return { content: formatTradeStatus(trade), embeds: [], attachments: [], files: [], components: [] };
+}
+
+// Message payload for a pending trade: both sides, composite image and buttons
+async function buildTradeMessage(trade) {
+  const { senderItems, receiverItems } = getTradeSides(trade);
+  const waitingOn = getTradeAwaitingUserId(trade);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(`🔄 Trade #${trade.id}`)
+    .addFields(
+      {
+        name: '📤 Offered',
+        value: `<@${trade.sender_id}> gives:\n${senderItems.length ? formatTradeCards(senderItems, '\n') : '*Nothing*'}`,
+        inline: true
+      },
+      {
+        name: '📥 Requested',
+        value: `<@${trade.receiver_id}> gives:\n${receiverItems.length ? formatTradeCards(receiverItems, '\n') : '*Nothing*'}`,
+        inline: true
+      }
+    )
+    .setFooter({ text: trade.receiver_confirmed ? 'Counter-offer - waiting for the sender to confirm' : 'Waiting for the receiver to confirm' });
+
+  const files = [];
+  const imageBuffer = await combineTradeImages(
+    senderItems.map(item => cardMap.get(item.card_id)?.imageUrl).filter(Boolean),
+    receiverItems.map(item => cardMap.get(item.card_id)?.imageUrl).filter(Boolean)
+  );
+  if (imageBuffer) {
+    files.push(new AttachmentBuilder(imageBuffer, { name: 'trade.png' }));
+    embed.setImage('attachment://trade.png');
+  }
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`trade_accept_${trade.id}`)
+        .setLabel('✅ Accept')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`trade_counter_${trade.id}`)
+        .setLabel('🔁 Counter')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`trade_decline_${trade.id}`)
+        .setLabel('❌ Decline')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  return {
+    content: `<@${waitingOn}>, do you accept this trade? *(expires <t:${Math.floor(trade.expires_at / 1000)}:R>)*`,
+    embeds: [embed],
+    attachments: [],
+    files,
+    components: [row]
+  };
+}
+
+// Edit a trade's offer message to match its current state
+async function updateTradeMessage(trade) {
+  if (!trade.channel_id || !trade.message_id) return;
+
+  try {
+    const channel = await client.channels.fetch(trade.channel_id);
+    const message = await channel.messages.fetch(trade.message_id);
+    await message.edit(trade.status === 'pending' ? await buildTradeMessage(trade) : closedTradeMessage(trade));
+  } catch (error) {
+    console.error(`Error updating trade #${trade.id} message:`, error.message);
+  }
+}
+
+// Decline (receiver) or cancel (sender) a pending trade and release its cards.
+// Holds both trainers' locks, like an accept, while their cached inventories are reloaded.
+function declineTrade(trade, userId) {
+  return withUserLock([trade.sender_id, trade.receiver_id], async () => {
+    const status = userId === trade.sender_id ? 'cancelled' : 'declined';
+    const closed = await db.closeTrade(trade.id, status, Date.now());
+    await refreshInventory(trade.sender_id);
+    await refreshInventory(trade.receiver_id);
+    return closed || db.getTrade(trade.id);
+  });
+}
+
+// Accept a trade for `userId` - both sides swap in a single transaction.
+// Holds both trainers' locks so neither inventory changes underneath the swap.
+// Once it's swapped, `completedSets` ({ userId: sets }) has the sets either side just completed.
+function acceptTradeFor(trade, userId) {
+  return withUserLock([trade.sender_id, trade.receiver_id], async () => {
+    const now = Date.now();
+    const accepted = await db.acceptTrade(trade.id, userId, now);
+    await refreshInventory(trade.sender_id);
+    await refreshInventory(trade.receiver_id);
+
+    if (accepted.status === 'accepted') {
+      const { senderItems, receiverItems } = getTradeSides(accepted);
+      const cardsOf = items => items.map(item => cardMap.get(item.card_id));
+      accepted.completedSets = {
+        [trade.sender_id]: await checkSetCompletions(trade.sender_id, cardsOf(receiverItems), now),
+        [trade.receiver_id]: await checkSetCompletions(trade.receiver_id, cardsOf(senderItems), now)
+      };
+    }
+    return accepted;
+  });
+}
+
+// Ephemeral reply for an accept that was refused with a TradeError (null if the trade is closed)
+function formatAcceptError(error) {
+  switch (error.code) {
+    case 'AWAITING_OTHER_PARTY':
+      return '⏳ You already confirmed this trade. Waiting for the other trainer.';
+    case 'CARD_UNAVAILABLE':
+      return '❌ Trade failed: some of these cards are no longer available or have been locked. Nothing was transferred - counter with different cards or decline.';
+    default:
+      return null;
+  }
+}
+
+// /trades inbox: the user's pending offers with accept/decline/cancel buttons
+async function buildTradesInbox(userId, notice = '') {
+  const now = Date.now();
+  const trades = (await db.listPendingTrades(userId))
+    .filter(trade => trade.expires_at > now)
+    // Offers waiting on this user first
+    .sort((a, b) => (getTradeAwaitingUserId(b) === userId) - (getTradeAwaitingUserId(a) === userId));
+
+  if (!trades.length) {
+    return { content: `${notice}📭 You have no pending trade offers.`, embeds: [], components: [] };
+  }
+
+  const shown = trades.slice(0, TRADES_INBOX_LIMIT);
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle('🔄 Your Pending Trades');
+
+  const rows = shown.map(trade => {
+    const isSender = trade.sender_id === userId;
+    const otherId = isSender ? trade.receiver_id : trade.sender_id;
+    const { senderItems, receiverItems } = getTradeSides(trade);
+    const giveItems = isSender ? senderItems : receiverItems;
+    const getItems = isSender ? receiverItems : senderItems;
+    const yourTurn = getTradeAwaitingUserId(trade) === userId;
+
+    embed.addFields({
+      name: `${isSender ? '📤 Outgoing' : '📥 Incoming'} #${trade.id}${yourTurn ? ' - ⏳ your turn' : ''}`,
+      value:
+        `With <@${otherId}> · expires <t:${Math.floor(trade.expires_at / 1000)}:R>\n` +
+        `**You give:** ${giveItems.length ? formatTradeCards(giveItems) : '*Nothing*'}\n` +
+        `**You get:** ${getItems.length ? formatTradeCards(getItems) : '*Nothing*'}`
+    });
+
+    const row = new ActionRowBuilder();
+    if (yourTurn) {
+      row.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`trades_accept_${trade.id}`)
+          .setLabel(`✅ Accept #${trade.id}`)
+          .setStyle(ButtonStyle.Success)
+      );
+    }
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(isSender ? `trades_cancel_${trade.id}` : `trades_decline_${trade.id}`)
+        .setLabel(isSender ? `🚫 Cancel #${trade.id}` : `❌ Decline #${trade.id}`)
+        .setStyle(ButtonStyle.Danger)
+    );
+    return row;
+  });
+
+  if (trades.length > shown.length) {
+    embed.setFooter({ text: `Showing ${shown.length} of ${trades.length} pending offers` });
+  }
+
+  return { content: notice || null, embeds: [embed], components: rows };
+}
+
+// Expire overdue trades, release their cards and update the offer messages
+async function expireTrades() {
+  let expired;
+  try {
+    expired = await db.expireTrades(Date.now());
+  } catch (error) {
+    console.error('Error expiring trades:', error);
+    return;
+  }
+
+  for (const trade of expired) {
+    await withUserLock([trade.sender_id, trade.receiver_id], async () => {
+      await refreshInventory(trade.sender_id);
+      await refreshInventory(trade.receiver_id);
+    });
+    await updateTradeMessage(trade);
+  }
+
+  if (expired.length) {
+    console.log(`Expired ${expired.length} trade offer(s)`);
+  }
+}
+
+const PICK_EMOJIS = ['1️⃣', '2️⃣', '3️⃣'];
+
+// Choice buttons for a pick session (btn_pick_<sessionId>_<index>). Once the session is closed
+// they're disabled, with the picked card highlighted.
+function buildPickButtons(session) {
+  const closed = session.status !== 'open';
+  return new ActionRowBuilder()
+    .addComponents(session.card_ids.map((cardId, i) =>
+      new ButtonBuilder()
+        .setCustomId(`btn_pick_${session.id}_${i}`)
+        .setLabel(PICK_EMOJIS[i])
+        .setStyle(!closed || cardId === session.picked_card_id ? ButtonStyle.Success : ButtonStyle.Secondary)
+        .setDisabled(closed)
+    ));
+}
+
+// Disable the buttons on a pick message (and optionally replace its text)
+async function updatePickMessage(session, content) {
+  if (!session.channel_id || !session.message_id) return;
+
+  try {
+    const channel = await client.channels.fetch(session.channel_id);
+    const message = await channel.messages.fetch(session.message_id);
+    await message.edit({
+      ...(content !== undefined && { content }),
+      components: [buildPickButtons(session)]
+    });
+  } catch (error) {
+    console.error(`Error updating pick #${session.id} message:`, error.message);
+  }
+}
+
+// Close a pick session without a card and give the pick cooldown back
+function refundPick(session, now) {
+  return withUserLock(session.user_id, async () => {
+    if (!await db.closePickSession(session.id, 'expired', null, now)) return false;
+    session.status = 'expired';
+
+    const data = await getUserData(session.user_id);
+    if (data.lastPick === session.created_at) {
+      data.lastPick = 0;
+      await saveUserCooldowns(session.user_id, data);
+    }
+    return true;
+  });
+}
+
+// Timed-out pick sessions get a random choice picked for their owner, so the cooldown they
+// spent isn't wasted. If none of the choices exist anymore the cooldown is refunded instead.
+async function expirePickSessions() {
+  let expired;
+  try {
+    expired = await db.listExpiredPickSessions(Date.now());
+  } catch (error) {
+    console.error('Error expiring pick sessions:', error);
+    return;
+  }
+
+  for (const session of expired) {
+    // One failing session is retried on the next sweep and doesn't hold up the rest
+    try {
+      const now = Date.now();
+      const available = session.card_ids.flatMap((cardId, i) => cardMap.has(cardId) ? [i] : []);
+
+      if (!available.length) {
+        if (await refundPick(session, now)) {
+          await updatePickMessage(session, `⌛ <@${session.user_id}>'s pick expired and those cards are gone, so the pick cooldown was refunded.`);
+        }
+        continue;
+      }
+
+      const index = available[Math.floor(Math.random() * available.length)];
+      const { card, entry, completedSets, error } = await withUserLock(session.user_id, () => completePick(session, index, 'expired', now));
+      if (error) continue; // 'failed' is retried on the next sweep, 'closed' was picked meanwhile
+
+      await updatePickMessage(session,
+        `⌛ <@${session.user_id}> didn't pick in time, so **${PICK_EMOJIS[index]} ${formatCardName(card.name)}** was picked for them.\n` +
+        `**Set:** ${formatCardSet(card)} | **Rarity:** ${formatRarity(card.rarity)} | **Quality:** ${formatGrade(entry.psa_grade)}` +
+        formatSetCompletions(session.user_id, completedSets)
+      );
+    } catch (error) {
+      console.error(`Error expiring pick #${session.id}:`, error);
+    }
+  }
+
+  if (expired.length) {
+    console.log(`Expired ${expired.length} pick session(s)`);
+  }
+}
+
+// Delete cards that have been in the recycle bin for longer than RECYCLE_BIN_DAYS
+async function purgeRecycleBin() {
+  try {
+    const purged = await db.purgeRecycleBin(Date.now() - RECYCLE_BIN_RETENTION);
+    if (purged) {
+      console.log(`Purged ${purged} card(s) from the recycle bin`);
+    }
+  } catch (error) {
+    console.error('Error purging recycle bin:', error);
+  }
+}
+
+// Create a card lookup map for faster inventory access
+const cardMap = new Map();
+
+// Cards grouped by rarity key (for weighted drops)
+const cardsByRarity = new Map();
+
+// Image cache to avoid re-downloading (decoded images, ~4 bytes per pixel)
+const imageCache = new LruCache({
+  name: 'Card images',
+  maxBytes: IMAGE_CACHE_MAX_BYTES,
+  sizeOf: image => image.width * image.height * 4
+});
+
+// Combined image cache (pick, pack and trade composites as PNG buffers)
+const combinedImageCache = new LruCache({
+  name: 'Combined images',
+  maxBytes: COMBINED_IMAGE_CACHE_MAX_BYTES,
+  sizeOf: buffer => buffer.length
+});
+
+// Server configuration: guild_id -> { channelId, prefix, bareWords, aliases }
+//   channelId - the only channel commands work in (null = any channel)
+//   prefix    - text command prefix (null = TEXT_PREFIX)
+//   bareWords - whether words like `pick` work without the prefix
+//   aliases   - Map of extra text command words -> command name
+const serverConfig = new Map();
+
+// Admin configuration (user_id -> boolean)
+const adminUsers = new Set();
+
+// Config for a guild, added to serverConfig the first time it's changed
+function editServerConfig(guildId) {
+  if (!serverConfig.has(guildId)) {
+    serverConfig.set(guildId, { channelId: null, prefix: null, bareWords: true, aliases: new Map() });
+  }
+  return serverConfig.get(guildId);
+}
+
+// Load server configurations and text command aliases from database
+async function loadServerConfigs() {
+  try {
+    const [configs, aliases] = await Promise.all([db.listServerConfigs(), db.listServerAliases()]);
+    serverConfig.clear();
+    configs.forEach(config => {
+      Object.assign(editServerConfig(config.guild_id), {
+        channelId: config.channel_id || null,
+        prefix: config.prefix || null,
+        bareWords: config.bare_words !== false
+      });
+    });
+    aliases.forEach(({ guild_id, alias, command }) => {
+      editServerConfig(guild_id).aliases.set(alias, command);
+    });
+    console.log(`Loaded ${configs.length} server configurations and ${aliases.length} text aliases`);
+  } catch (error) {
+    console.error('Error in loadServerConfigs:', error);
+  }
+}
+
+// Load admins from database
+async function loadAdmins() {
+  try {
+    const adminIds = await db.listAdmins();
+    adminUsers.clear();
+    adminIds.forEach(userId => {
+      adminUsers.add(userId);
+    });
+    console.log(`Loaded ${adminIds.length} admin users`);
+  } catch (error) {
+    console.error('Error in loadAdmins:', error);
+  }
+}
+
+// Add admin to database
+async function addAdmin(userId) {
+  try {
+    adminUsers.add(userId);
+    
+    await db.addAdmin(userId);
+    
+    return true;
+  } catch (error) {
+    console.error('Error adding admin:', error);
+    return false;
+  }
+}
+
+// Remove admin from database
+async function removeAdmin(userId) {
+  try {
+    adminUsers.delete(userId);
+    
+    await db.removeAdmin(userId);
+    
+    return true;
+  } catch (error) {
+    console.error('Error removing admin:', error);
+    return false;
+  }
+}
+
+// Check if user is admin
+function isAdmin(userId) {
+  return adminUsers.has(userId);
+}
+
+// Set channel for a guild
+async function setGuildChannel(guildId, channelId) {
+  try {
+    editServerConfig(guildId).channelId = channelId;
+    
+    await db.setServerChannel(guildId, channelId);
+    
+    return true;
+  } catch (error) {
+    console.error('Error setting guild channel:', error);
+    return false;
+  }
+}
+
+// Set the text command prefix (null = default) and bare-word toggle for a guild
+async function setGuildTextSettings(guildId, { prefix, bareWords }) {
+  try {
+    Object.assign(editServerConfig(guildId), { prefix, bareWords });
+
+    await db.setServerTextSettings(guildId, { prefix, bareWords });
+
+    return true;
+  } catch (error) {
+    console.error('Error setting guild text settings:', error);
+    return false;
+  }
+}
+
+// Add (or repoint) a text alias for a guild; command null removes it
+async function setGuildAlias(guildId, alias, command) {
+  try {
+    const { aliases } = editServerConfig(guildId);
+
+    if (command) {
+      aliases.set(alias, command);
+      await db.setServerAlias(guildId, alias, command);
+    } else {
+      aliases.delete(alias);
+      await db.removeServerAlias(guildId, alias);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error setting guild alias:', error);
+    return false;
+  }
+}
+
+// Check if command is allowed in this channel
+function isAllowedChannel(guildId, channelId) {
+  const allowedChannelId = serverConfig.get(guildId)?.channelId;
+
+  // If no channel set for this guild, allow all channels
+  if (!allowedChannelId) return true;
+
+  // Check if this channel matches the configured channel
+  return allowedChannelId === channelId;
+}
+
+// Function to fetch and cache image
+async function fetchAndCacheImage(url) {
+  // Check if already cached
+  const cached = imageCache.get(url);
+  if (cached) {
+    return cached;
+  }
+
+  // Fetch and cache
+  const response = await axios.get(url, { responseType: 'arraybuffer' });
+  const buffer = Buffer.from(response.data);
+  const image = await loadImage(buffer);
+  
+  // Store in cache
+  imageCache.set(url, image);
+  
+  return image;
+}
+
+// Function to combine 3 card images horizontally
+async function combineCardImages(card1Url, card2Url, card3Url) {
+  try {
+    // Create cache key from the 3 URLs
+    const cacheKey = `${card1Url}|${card2Url}|${card3Url}`;
     
     // Check if this combination is already cached
-    if (combinedImageCache.has(cacheKey)) {
-      return combinedImageCache.get(cacheKey);
+    const cached = combinedImageCache.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
     // Fetch all 3 images (with caching)
@@ -467,8 +1509,9 @@ async function combinePackImages(urls) {
     const cacheKey = urls.join('|');
     
     // Check if this combination is already cached
-    if (combinedImageCache.has(cacheKey)) {
-      return combinedImageCache.get(cacheKey);
+    const cached = combinedImageCache.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
     // Fetch all 5 images (with caching)
@@ -503,50 +1546,248 @@ async function combinePackImages(urls) {
   }
 }
 
-function formatInventory(inv) {
-  if (!inv.length) return 'You have no cards yet 😢';
+// Function to combine both sides of a trade: offered cards, a divider, then requested cards
+async function combineTradeImages(offeredUrls, requestedUrls) {
+  if (!offeredUrls.length && !requestedUrls.length) return null;
 
-  return inv
-    .map((entry, i) => {
-      const cardId = entry.card_id || entry.cardId; // Support both formats
-      const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
-      const name = card ? formatCardName(card.name) : 'Unknown';
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-      const ownerId = entry.instance_id || 'N/A';
-      return `#${i} - **${name}** (${quality}) \`${ownerId}\``;
-    })
-    .join('\n');
-}
+  try {
+    // Create cache key from both sides
+    const cacheKey = `trade:${offeredUrls.join('|')}>${requestedUrls.join('|')}`;
 
-function formatBinderEmbed(inv, page = 0) {
-  const CARDS_PER_PAGE = 10;
-  const embed = new EmbedBuilder()
-    .setColor('#FFD700')
-    .setTitle('📖 Your Card Binder')
-    .setTimestamp();
+    // Check if this combination is already cached
+    const cached = combinedImageCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
 
-  if (!inv.length) {
-    embed.setDescription('Your binder is empty. Start collecting cards!');
-    return { embed, totalPages: 1 };
-  }
+    const [offered, requested] = await Promise.all([
+      Promise.all(offeredUrls.map(url => fetchAndCacheImage(url))),
+      Promise.all(requestedUrls.map(url => fetchAndCacheImage(url)))
+    ]);
 
-  // Group cards by set
-  const bySet = {};
-  inv.forEach((entry, i) => {
-    const cardId = entry.card_id || entry.cardId;
-    const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
-    if (card) {
-      if (!bySet[card.set]) bySet[card.set] = [];
-      bySet[card.set].push({ index: i, card });
-    }
-  });
+    // Smaller cards than packs since a trade can hold up to 10
+    const targetWidth = 300;
+    const targetHeight = 420;
+    const spacing = 20; // Space between cards
+    const dividerWidth = 80; // Space between the two sides
 
-  // Flatten all cards for pagination
-  const allCards = [];
-  for (const [setName, items] of Object.entries(bySet)) {
-    allCards.push({ type: 'header', setName, count: items.length });
-    allCards.push(...items.map(item => ({ type: 'card', ...item, entry: inv[item.index] })));
-  }
+    const sideWidth = count => count ? targetWidth * count + spacing * (count - 1) : 0;
+    const offeredWidth = sideWidth(offered.length);
+    const canvas = createCanvas(offeredWidth + dividerWidth + sideWidth(requested.length), targetHeight);
+    const ctx = canvas.getContext('2d');
+
+    // Transparent background (no white)
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    offered.forEach((img, i) => {
+      ctx.drawImage(img, i * (targetWidth + spacing), 0, targetWidth, targetHeight);
+    });
+
+    // Vertical divider between the sides
+    const dividerX = offeredWidth + dividerWidth / 2;
+    ctx.strokeStyle = '#99aab5';
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    ctx.moveTo(dividerX, targetHeight * 0.1);
+    ctx.lineTo(dividerX, targetHeight * 0.9);
+    ctx.stroke();
+
+    requested.forEach((img, i) => {
+      const x = offeredWidth + dividerWidth + i * (targetWidth + spacing);
+      ctx.drawImage(img, x, 0, targetWidth, targetHeight);
+    });
+
+    const buffer = canvas.toBuffer('image/png');
+
+    // Cache the combined result
+    combinedImageCache.set(cacheKey, buffer);
+
+    return buffer;
+  } catch (error) {
+    console.error('Error combining trade images:', error);
+    return null;
+  }
+}
+
+function formatInventory(inv) {
+  if (!inv.length) return 'You have no cards yet 😢';
+
+  return inv
+    .map((entry, i) => {
+      const cardId = entry.card_id || entry.cardId; // Support both formats
+      const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
+      const name = card ? formatCardName(card.name) : 'Unknown';
+      const quality = formatGrade(entry.psa_grade);
+      const ownerId = entry.instance_id || 'N/A';
+      return `#${i} - **${name}** (${quality}) \`${ownerId}\``;
+    })
+    .join('\n');
+}
+
+// Binder views: sort order, filters, stacking and text list vs. card grid pages. /binder options
+// map straight onto these and the view rides along in the pagination button IDs (see encodeBinderView).
+const BINDER_SORTS = {
+  set: 'Set',
+  name: 'Name',
+  date: 'Newest',
+  grade: 'Grade',
+  rarity: 'Rarity'
+};
+const BINDER_FILTER_MAX_LENGTH = 20;
+// owner: user ID when browsing another trainer's binder, null for the caller's own
+const DEFAULT_BINDER_VIEW = { sort: 'set', stack: false, rarity: null, set: null, name: null, visual: false, owner: null };
+
+// Binder view from command options (missing options fall back to the default view)
+function binderViewFromOptions(options) {
+  const filter = name => options.getString(name)?.replace(/~/g, '').trim().slice(0, BINDER_FILTER_MAX_LENGTH) || null;
+  return {
+    sort: options.getString('sort') || DEFAULT_BINDER_VIEW.sort,
+    stack: options.getBoolean('stack') ?? DEFAULT_BINDER_VIEW.stack,
+    rarity: options.getString('rarity') || null,
+    set: filter('set'),
+    name: filter('name'),
+    visual: options.getBoolean('visual') ?? DEFAULT_BINDER_VIEW.visual,
+    owner: DEFAULT_BINDER_VIEW.owner
+  };
+}
+
+// Compact form of a view for button custom IDs (100 characters max), e.g. "g~1~3~base~~0~<owner ID>"
+function encodeBinderView(view) {
+  const rarity = RARITY_TIERS.findIndex(tier => tier.key === view.rarity);
+  return [
+    view.sort[0],
+    view.stack ? 1 : 0,
+    rarity === -1 ? '' : rarity,
+    view.set || '',
+    view.name || '',
+    view.visual ? 1 : 0,
+    view.owner || ''
+  ].join('~');
+}
+
+// Buttons from before binder views have no view part and get the default view
+function decodeBinderView(text) {
+  if (!text) return { ...DEFAULT_BINDER_VIEW };
+  const [sort, stack, rarity, set, name, visual, owner] = text.split('~');
+  return {
+    sort: Object.keys(BINDER_SORTS).find(key => key[0] === sort) || DEFAULT_BINDER_VIEW.sort,
+    stack: stack === '1',
+    rarity: rarity ? RARITY_TIERS[Number(rarity)]?.key || null : null,
+    set: set || null,
+    name: name || null,
+    visual: visual === '1',
+    owner: owner || null
+  };
+}
+
+// e.g. "Grade · 🟣 Holo Rare · set: base · stacked"; empty for the default view
+function describeBinderView(view) {
+  const parts = [];
+  if (view.sort !== DEFAULT_BINDER_VIEW.sort) parts.push(`sorted by ${BINDER_SORTS[view.sort].toLowerCase()}`);
+  if (view.rarity) parts.push(formatRarity(view.rarity));
+  if (view.set) parts.push(`set: ${view.set}`);
+  if (view.name) parts.push(`name: ${view.name}`);
+  if (view.stack) parts.push('stacked');
+  if (view.visual) parts.push('grid');
+  return parts.join(' · ');
+}
+
+function rarityRank(card) {
+  return RARITY_TIERS.findIndex(tier => tier.key === card.rarity);
+}
+
+// Whether a catalog card passes a view's rarity, set and name filters
+function matchesBinderView(card, view) {
+  if (view.rarity && card.rarity !== view.rarity) return false;
+  if (view.set && !card.set.toLowerCase().includes(view.set.toLowerCase())) return false;
+  if (view.name && !formatCardName(card.name).toLowerCase().includes(view.name.toLowerCase().replace(/_/g, ' '))) return false;
+  return true;
+}
+
+// The inventory as binder rows for a view: [{ index, entry, card, copies }], filtered and sorted.
+// `index` is the entry's position in the inventory (shown as #n); stacked rows keep their best copy
+// as `entry` and every copy in `copies`.
+function selectBinderCards(inv, view) {
+  let rows = [];
+  inv.forEach((entry, index) => {
+    const card = cardMap.get(entry.card_id || entry.cardId);
+    if (card && matchesBinderView(card, view)) {
+      rows.push({ index, entry, card, copies: [entry] });
+    }
+  });
+
+  if (view.stack) {
+    const stacks = new Map();
+    for (const row of rows) {
+      const stack = stacks.get(row.card.id);
+      if (!stack) {
+        stacks.set(row.card.id, row);
+        continue;
+      }
+      stack.copies.push(row.entry);
+      if ((row.entry.psa_grade || 0) > (stack.entry.psa_grade || 0)) {
+        stack.entry = row.entry;
+        stack.index = row.index;
+      }
+    }
+    rows = [...stacks.values()];
+  }
+
+  const byName = (a, b) => formatCardName(a.card.name).localeCompare(formatCardName(b.card.name));
+  const compare = {
+    name: (a, b) => byName(a, b) || a.index - b.index,
+    date: (a, b) => (b.entry.obtained_at || 0) - (a.entry.obtained_at || 0) || b.index - a.index,
+    grade: (a, b) => (b.entry.psa_grade || 0) - (a.entry.psa_grade || 0) || byName(a, b),
+    rarity: (a, b) => rarityRank(b.card) - rarityRank(a.card) || byName(a, b)
+  }[view.sort];
+  return compare ? rows.sort(compare) : rows;
+}
+
+// Binder title and empty-binder text; owner is the trainer whose binder it is (null = your own)
+function binderHeading(owner) {
+  return owner
+    ? { title: `📖 ${owner.username}'s Card Binder`, empty: `${owner.username}'s binder is empty.` }
+    : { title: '📖 Your Card Binder', empty: 'Your binder is empty. Start collecting cards!' };
+}
+
+function formatBinderEmbed(inv, page = 0, view = DEFAULT_BINDER_VIEW, owner = null) {
+  const CARDS_PER_PAGE = 10;
+  const heading = binderHeading(owner);
+  const embed = new EmbedBuilder()
+    .setColor('#FFD700')
+    .setTitle(heading.title)
+    .setTimestamp();
+
+  if (!inv.length) {
+    embed.setDescription(heading.empty);
+    return { embed, totalPages: 1 };
+  }
+
+  const rows = selectBinderCards(inv, view);
+  const viewText = describeBinderView(view);
+
+  if (!rows.length) {
+    embed.setDescription('No cards in this binder match this view.');
+    embed.setFooter({ text: `Total Cards: ${inv.length} | ${viewText}` });
+    return { embed, totalPages: 1 };
+  }
+
+  // Sorted by set: group cards under a header per set, in obtained order
+  const allCards = [];
+  if (view.sort === 'set') {
+    const bySet = {};
+    for (const row of rows) {
+      if (!bySet[row.card.set]) bySet[row.card.set] = [];
+      bySet[row.card.set].push(row);
+    }
+    for (const [setName, items] of Object.entries(bySet)) {
+      const count = items.reduce((sum, item) => sum + item.copies.length, 0);
+      allCards.push({ type: 'header', setName, count });
+      allCards.push(...items.map(item => ({ type: 'card', ...item })));
+    }
+  } else {
+    allCards.push(...rows.map(row => ({ type: 'card', ...row })));
+  }
 
   const totalPages = Math.ceil(allCards.length / CARDS_PER_PAGE);
   const startIdx = page * CARDS_PER_PAGE;
@@ -559,1381 +1800,2825 @@ function formatBinderEmbed(inv, page = 0) {
       description += `\n**${item.setName}** (${item.count})\n`;
     } else if (item.type === 'card') {
       const ownerId = item.entry?.instance_id || 'N/A';
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-      description += `#${item.index + 1} **${formatCardName(item.card.name)}** (${quality}) \`${ownerId}\`\n`;
+      const lock = item.copies.some(copy => copy.locked) ? ' 🔒' : '';
+      if (item.copies.length > 1) {
+        description += `**${formatCardName(item.card.name)}** x${item.copies.length} (best ${formatGrade(item.entry.psa_grade)}) \`${ownerId}\`${lock}\n`;
+      } else {
+        const quality = formatGrade(item.entry?.psa_grade);
+        description += `#${item.index + 1} **${formatCardName(item.card.name)}** (${quality}) \`${ownerId}\`${lock}\n`;
+      }
     }
   }
 
+  const shown = rows.reduce((sum, row) => sum + row.copies.length, 0);
+  const total = shown === inv.length ? `Total Cards: ${inv.length}` : `Showing ${shown} of ${inv.length} cards`;
   embed.setDescription(description || 'No cards on this page.');
-  embed.setFooter({ text: `Page ${page + 1}/${totalPages} | Total Cards: ${inv.length}` });
-  
+  embed.setFooter({ text: [`Page ${page + 1}/${totalPages}`, total, viewText].filter(Boolean).join(' | ') });
+
   return { embed, totalPages };
 }
 
-function msToNice(ms) {
-  const totalSeconds = Math.ceil(ms / 1000);
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-  if (minutes > 0) return `${minutes}m ${seconds}s`;
-  return `${seconds}s`;
+// Visual binder pages: a 3x3 grid of pockets, like a binder sleeve page
+const BINDER_POCKETS_PER_PAGE = 9;
+const BINDER_GRID_COLUMNS = 3;
+
+// Set name a search picks out: an exact name wins, otherwise it must match just one set. Null if not.
+function findCardSet(query) {
+  const filter = query.trim().toLowerCase();
+  const exact = cardSets.find(set => set.displayName.toLowerCase() === filter);
+  const matches = cardSets.filter(set => set.displayName.toLowerCase().includes(filter));
+  return exact?.displayName || (matches.length === 1 ? matches[0].displayName : null);
 }
 
-// Format card names: remove underscores and uppercase
-function formatCardName(name) {
-  if (!name) return 'Unknown';
-  return name
-    .replace(/_/g, ' ') // Replace underscores with spaces
-    .toUpperCase(); // Convert to uppercase
+// The one set a view's set filter picks out (its grid then shows missing cards too), or null
+function binderViewSet(view) {
+  return view.set ? findCardSet(view.set) : null;
 }
 
-// ------------------- SLASH COMMANDS -------------------
-const commands = [
-  new SlashCommandBuilder()
-    .setName('draw')
-    .setDescription('Draw 1 card (every 15 minutes, shorter in test mode)'),
-
-  new SlashCommandBuilder()
-    .setName('pack')
-    .setDescription('Open 1 pack of 5 cards (every 30 minutes, shorter in test mode)'),
-
-  new SlashCommandBuilder()
-    .setName('burn')
-    .setDescription('Burn a card from your inventory (permanent deletion)')
-    .addStringOption(option =>
-      option.setName('card')
-        .setDescription('Card ID to burn (e.g., poqpvv)')
-        .setRequired(true)
-    ),
-
-  new SlashCommandBuilder()
-    .setName('reset_me')
-    .setDescription('Reset your data (testing only)'),
-
-  new SlashCommandBuilder()
-    .setName('menu')
-    .setDescription('Show the card game menu with buttons'),
-
-  new SlashCommandBuilder()
-    .setName('pick')
-    .setDescription('Choose 1 card from 3 options (every 30 minutes, shorter in test mode)'),
-
-  new SlashCommandBuilder()
-    .setName('help')
-    .setDescription('Show all available commands'),
-
-  new SlashCommandBuilder()
-    .setName('binder')
-    .setDescription('View your card collection in a organized binder format'),
-
-  new SlashCommandBuilder()
-    .setName('trade')
-    .setDescription('Trade a card to another trainer')
-    .addStringOption(option =>
-      option.setName('card')
-        .setDescription('The card ID to trade (e.g., pox1lj)')
-        .setRequired(true)
-    )
-    .addUserOption(option =>
-      option.setName('trainer')
-        .setDescription('The trainer to trade with')
-        .setRequired(true)
-    ),
-
-  new SlashCommandBuilder()
-    .setName('view')
-    .setDescription('View a specific card by its card ID')
-    .addStringOption(option =>
-      option.setName('card')
-        .setDescription('The card ID to view (e.g., pox1lj)')
-        .setRequired(true)
-    ),
-
-  new SlashCommandBuilder()
-    .setName('search')
-    .setDescription('Search for cards by name')
-    .addStringOption(option =>
-      option.setName('name')
-        .setDescription('Card name to search for')
-        .setRequired(true)
-    ),
-
-  new SlashCommandBuilder()
-    .setName('setchannel')
-    .setDescription('Set the channel where bot commands are allowed (Admin only)')
-    .addChannelOption(option =>
-      option.setName('channel')
-        .setDescription('The channel to allow commands in')
-        .setRequired(true)
-    )
-    .setDefaultMemberPermissions(0x8), // Administrator permission
-
-  new SlashCommandBuilder()
-    .setName('channelinfo')
-    .setDescription('Show which channel is configured for bot commands'),
-
-  new SlashCommandBuilder()
-    .setName('setadmin')
-    .setDescription('Add or remove an admin (Admin only)')
-    .addUserOption(option =>
-      option.setName('user')
-        .setDescription('The user to add/remove as admin')
-        .setRequired(true)
-    )
-    .addStringOption(option =>
-      option.setName('action')
-        .setDescription('Add or remove admin')
-        .setRequired(true)
-        .addChoices(
-          { name: 'Add', value: 'add' },
-          { name: 'Remove', value: 'remove' }
-        )
-    ),
-
-  new SlashCommandBuilder()
-    .setName('clearbinder')
-    .setDescription('Clear your entire card collection and start fresh')
-    .addStringOption(option =>
-      option.setName('confirm')
-        .setDescription('Type your username to confirm')
-        .setRequired(true)
-    )
-].map(cmd => cmd.toJSON());
+// Collector number order, e.g. "4/130" before "12/130"; cards without a number keep catalog order
+function compareCollectorNumbers(a, b) {
+  const numberA = parseInt(a.number);
+  const numberB = parseInt(b.number);
+  if (Number.isNaN(numberA) || Number.isNaN(numberB)) return 0;
+  return numberA - numberB;
+}
 
-const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+// Pockets for a visual page: binder rows, or for a single set one pocket per catalog card in
+// collector order, with `entry` null (and no copies) for the cards the user is missing
+function selectBinderPockets(inv, view) {
+  const setName = binderViewSet(view);
+  if (!setName) return { pockets: selectBinderCards(inv, view), setName };
+
+  const owned = new Map(selectBinderCards(inv, { ...view, stack: true }).map(row => [row.card.id, row]));
+  const pockets = cards
+    .filter(card => card.set === setName && matchesBinderView(card, view))
+    .sort(compareCollectorNumbers)
+    .map(card => owned.get(card.id) || { card, entry: null, copies: [] });
+  return { pockets, setName };
+}
 
-async function registerCommands() {
+// Draw up to 9 pockets as a PNG. Each pocket shows the card with its instance ID and grade
+// underneath; missing cards are drawn faded. Pages are cached by what's in their pockets.
+async function renderBinderPage(pockets) {
   try {
-    console.log('Registering slash commands...');
-    await rest.put(
-      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-      { body: commands }
+    const cacheKey = 'binder:' + pockets.map(pocket => pocket.entry
+      ? `${pocket.card.id}/${pocket.entry.instance_id}/${pocket.entry.psa_grade}/${pocket.copies.length}`
+      : `${pocket.card.id}/-`
+    ).join('|');
+
+    const cached = combinedImageCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const images = await Promise.all(pockets.map(pocket => fetchAndCacheImage(pocket.card.imageUrl)));
+
+    const cardWidth = 240;
+    const cardHeight = 336;
+    const labelHeight = 40;
+    const padding = 24;
+    const rows = Math.ceil(BINDER_POCKETS_PER_PAGE / BINDER_GRID_COLUMNS);
+
+    const canvas = createCanvas(
+      padding + BINDER_GRID_COLUMNS * (cardWidth + padding),
+      padding + rows * (cardHeight + labelHeight + padding)
     );
-    console.log('Slash commands registered!');
-  } catch (err) {
-    console.error('Error registering commands:', err);
+    const ctx = canvas.getContext('2d');
+
+    // Binder page with an empty sleeve in every pocket
+    ctx.fillStyle = '#23272a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let i = 0; i < BINDER_POCKETS_PER_PAGE; i++) {
+      const x = padding + (i % BINDER_GRID_COLUMNS) * (cardWidth + padding);
+      const y = padding + Math.floor(i / BINDER_GRID_COLUMNS) * (cardHeight + labelHeight + padding);
+      ctx.fillStyle = '#2c2f33';
+      ctx.fillRect(x - 6, y - 6, cardWidth + 12, cardHeight + labelHeight + 12);
+
+      const pocket = pockets[i];
+      if (!pocket) continue;
+
+      ctx.globalAlpha = pocket.entry ? 1 : 0.25;
+      ctx.drawImage(images[i], x, y, cardWidth, cardHeight);
+      ctx.globalAlpha = 1;
+
+      const labelY = y + cardHeight + labelHeight / 2;
+      ctx.textBaseline = 'middle';
+      ctx.font = 'bold 20px sans-serif';
+      if (pocket.entry) {
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.fillText(pocket.entry.instance_id, x + 4, labelY);
+        ctx.fillStyle = '#ffd700';
+        ctx.textAlign = 'right';
+        ctx.fillText(formatGrade(pocket.entry.psa_grade), x + cardWidth - 4, labelY);
+      } else {
+        ctx.fillStyle = '#99aab5';
+        ctx.textAlign = 'center';
+        ctx.fillText(pocket.card.number ? `Missing #${pocket.card.number}` : 'Missing', x + cardWidth / 2, labelY);
+      }
+
+      // Copy count badge on stacked pockets
+      if (pocket.copies.length > 1) {
+        ctx.fillStyle = '#e67e22';
+        ctx.beginPath();
+        ctx.arc(x + cardWidth - 24, y + 24, 22, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.fillText(`x${pocket.copies.length}`, x + cardWidth - 24, y + 24);
+      }
+    }
+
+    const buffer = canvas.toBuffer('image/png');
+
+    // Cache the rendered page
+    combinedImageCache.set(cacheKey, buffer);
+
+    return buffer;
+  } catch (error) {
+    console.error('Error rendering binder page:', error);
+    return null;
   }
 }
 
-// ------------------- BOT EVENTS -------------------
-client.once('clientReady', async () => {
-  console.log(`Logged in as ${client.user.tag}`);
-  await loadServerConfigs();
-  await loadAdmins();
-});
+// Grid version of formatBinderEmbed: { embed, totalPages, image } with the page as a PNG buffer
+async function formatVisualBinderPage(inv, page, view, owner = null) {
+  const heading = binderHeading(owner);
+  const embed = new EmbedBuilder()
+    .setColor('#FFD700')
+    .setTitle(heading.title)
+    .setTimestamp();
 
-// Handle text commands
-client.on('messageCreate', async message => {
-  if (message.author.bot) return;
-  
-  const command = message.content.toLowerCase().trim();
-  
-  // Check if it's a valid command
-  if (!command.startsWith('cd') && command !== 'pick' && command !== 'pk') return;
+  const { pockets, setName } = selectBinderPockets(inv, view);
+  const viewText = describeBinderView(view);
 
-  // Check if command is allowed in this channel
-  if (!isAllowedChannel(message.guild?.id, message.channel.id)) {
-    return message.reply('❌ Commands are not allowed in this channel. Ask an admin to use `/setchannel` to configure.');
+  if (!pockets.length) {
+    embed.setDescription(inv.length ? 'No cards in this binder match this view.' : heading.empty);
+    embed.setFooter({ text: [`Total Cards: ${inv.length}`, viewText].filter(Boolean).join(' | ') });
+    return { embed, totalPages: 1, image: null };
   }
 
-  const user = message.author;
-  const now = Date.now();
-  const data = await getUserData(user.id);
+  const totalPages = Math.ceil(pockets.length / BINDER_POCKETS_PER_PAGE);
+  const pagePockets = pockets.slice(page * BINDER_POCKETS_PER_PAGE, (page + 1) * BINDER_POCKETS_PER_PAGE);
+  const image = pagePockets.length ? await renderBinderPage(pagePockets) : null;
 
-  // cd (default to draw)
-  if (command === 'cd' || command === 'cd draw' || command === 'cd d') {
-    const elapsed = now - data.lastDraw;
-    if (elapsed < DRAW_COOLDOWN) {
-      const remaining = DRAW_COOLDOWN - elapsed;
-      return message.reply(`⏳ You can draw again in **${msToNice(remaining)}**.`);
-    }
+  const lines = pagePockets.map((pocket, i) => {
+    const name = `${i + 1}. **${formatCardName(pocket.card.name)}**`;
+    if (!pocket.entry) return `${name} - *missing*`;
+    const copies = pocket.copies.length > 1 ? ` x${pocket.copies.length}` : '';
+    const lock = pocket.copies.some(copy => copy.locked) ? ' 🔒' : '';
+    return `${name} \`${pocket.entry.instance_id}\` (${formatGrade(pocket.entry.psa_grade)})${copies}${lock}`;
+  });
 
-    const card = randomCard();
-    if (!card) return message.reply('❌ No cards available.');
+  let description = lines.join('\n') || 'No cards on this page.';
+  if (setName) {
+    const collected = pockets.filter(pocket => pocket.entry).length;
+    description = `**${setName}** - ${collected}/${pockets.length} collected\n\n${description}`;
+  }
+  if (image) {
+    embed.setImage('attachment://binder.png');
+  } else if (pagePockets.length) {
+    description += '\n\n⚠️ Couldn\'t draw this page right now.';
+  }
 
-    // Send loading message
-    const loadingMsg = await message.reply('⏳ Drawing card...');
+  const shown = pockets.reduce((sum, pocket) => sum + pocket.copies.length, 0);
+  const total = shown === inv.length ? `Total Cards: ${inv.length}` : `Showing ${shown} of ${inv.length} cards`;
+  embed.setDescription(description);
+  embed.setFooter({ text: [`Page ${page + 1}/${totalPages}`, total, viewText].filter(Boolean).join(' | ') });
 
-    const instanceId = generateCardInstanceId();
-    data.inventory.push({ card_id: card.id, obtained_at: now, instance_id: instanceId });
-    data.lastDraw = now;
-    
-    // Save to database
-    await addCardToInventory(user.id, card.id, now, instanceId);
-    await saveUserCooldowns(user.id, data);
+  return { embed, totalPages, image };
+}
 
-    const cardName = formatCardName(card.name);
-    const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`; // Random PSA 1-10
+// How much of every set in cardSets an inventory covers, counting unique card IDs:
+// [{ setName, total, owned, missing }] with the missing catalog cards in collector order.
+// A set with no cards loaded has total 0 and never counts as complete.
+function setProgress(inventory) {
+  const ownedIds = new Set(inventory.map(entry => entry.card_id || entry.cardId));
+  return cardSets.map(set => {
+    const setCards = cards.filter(card => card.set === set.displayName).sort(compareCollectorNumbers);
+    const missing = setCards.filter(card => !ownedIds.has(card.id));
+    return { setName: set.displayName, total: setCards.length, owned: setCards.length - missing.length, missing };
+  });
+}
 
-    return loadingMsg.edit({
-      content: `## ${cardName}\n**Set:** ${card.set} | **Quality:** ${quality}`,
-      files: [card.imageUrl]
-    });
+function isSetComplete(progress) {
+  return progress.total > 0 && !progress.missing.length;
+}
+
+// e.g. "▰▰▰▰▱▱▱▱▱▱ 42%"
+function formatProgressBar(owned, total, width = 10) {
+  const ratio = total ? owned / total : 0;
+  const filled = Math.round(ratio * width);
+  return `${'▰'.repeat(filled)}${'▱'.repeat(width - filled)} ${Math.floor(ratio * 100)}%`;
+}
+
+function formatMissingCard(card) {
+  const tier = RARITY_TIERS.find(t => t.key === card.rarity) || RARITY_TIERS[0];
+  return `${tier.emoji} ${formatCardName(card.name)}${card.number ? ` #${card.number}` : ''}`;
+}
+
+// Up to `limit` missing cards with a "+N more" tail
+function formatMissingList(missing, limit, separator = ', ') {
+  const shown = missing.slice(0, limit).map(formatMissingCard).join(separator);
+  return missing.length > limit ? `${shown}${separator}*+${missing.length - limit} more*` : shown;
+}
+
+// Line appended to a reveal for the sets it completed ([{ setName }]), empty if none
+function formatSetCompletions(userId, completedSets) {
+  if (!completedSets?.length) return '';
+  return `\n🎉 <@${userId}> completed **${completedSets.map(set => set.setName).join('**, **')}** and earned ` +
+    `**${formatDust(SET_COMPLETION_DUST * completedSets.length)}** plus the ${SET_BADGE} badge!`;
+}
+
+function msToNice(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+// Cooldown length for help text, e.g. "15 min" or "24 hr"
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60} hr`;
+  if (minutes >= 1) return `${minutes} min`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+// Human-readable byte count, e.g. "12.3 MB"
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
   }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
 
-  // cd pack
-  if (command === 'cd pack' || command === 'cd p') {
-    const elapsed = now - data.lastPack;
-    if (elapsed < PACK_COOLDOWN) {
-      const remaining = PACK_COOLDOWN - elapsed;
-      return message.reply(`⏳ You can open another pack in **${msToNice(remaining)}**.`);
-    }
+// Format a rarity key for display, e.g. "🔵 Rare"
+function formatRarity(rarity) {
+  const tier = RARITY_TIERS.find(t => t.key === rarity) || RARITY_TIERS[0];
+  return `${tier.emoji} ${tier.label}`;
+}
 
-    // Send loading message
-    const loadingMsg = await message.reply('⏳ Opening pack...');
+// Dust paid for burning a card: its rarity's base value, from 0.6x at PSA 1 to 1.5x at PSA 10
+function burnValue(card, grade) {
+  const tier = RARITY_TIERS.find(t => t.key === card?.rarity) || RARITY_TIERS[0];
+  return Math.round(tier.dust * (0.5 + (grade || 5) / 10));
+}
 
-    const packSize = 5;
-    const pulled = [];
-    for (let i = 0; i < packSize; i++) {
-      const card = randomCard();
-      if (!card) break;
-      const instanceId = generateCardInstanceId();
-      pulled.push({ ...card, instance_id: instanceId });
-      data.inventory.push({ card_id: card.id, obtained_at: now, instance_id: instanceId });
-      await addCardToInventory(user.id, card.id, now, instanceId);
-    }
-    data.lastPack = now;
-    await saveUserCooldowns(user.id, data);
+function craftCost(card) {
+  const tier = RARITY_TIERS.find(t => t.key === card.rarity) || RARITY_TIERS[0];
+  return tier.dust * CRAFT_COST_MULTIPLIER;
+}
 
-    if (pulled.length === 0) {
-      return loadingMsg.edit('❌ No cards available for pack.');
-    }
+function formatDust(amount) {
+  return `✨ ${amount.toLocaleString('en-US')} dust`;
+}
 
-    // Combine the 5 images horizontally
-    const imageUrls = pulled.map(c => c.imageUrl);
-    const combinedImageBuffer = await combinePackImages(imageUrls);
+// Catalog card by ID or name (case-insensitive). Returns { card }, or { matches } when the
+// query isn't exact and matches several cards (or none).
+function findCatalogCard(query) {
+  const normalized = query.trim().toLowerCase();
+  const byId = cards.find(card => card.id.toLowerCase() === normalized);
+  if (byId) return { card: byId };
 
-    if (!combinedImageBuffer) {
-      return loadingMsg.edit('❌ Failed to load card images.');
-    }
+  const nameOf = card => formatCardName(card.name).toLowerCase();
+  const exact = cards.filter(card => nameOf(card) === normalized.replace(/_/g, ' '));
+  if (exact.length === 1) return { card: exact[0] };
 
-    const attachment = new AttachmentBuilder(combinedImageBuffer, { name: 'pack.png' });
+  const matches = exact.length ? exact : cards.filter(card => nameOf(card).includes(normalized.replace(/_/g, ' ')));
+  return matches.length === 1 ? { card: matches[0] } : { matches };
+}
 
-    // Create text details for all cards
-    let details = '🃏 **Pack Cards:**\n';
-    pulled.forEach((card, i) => {
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-      details += `• **${formatCardName(card.name)}** - ${quality} | ${card.set}\n`;
-    });
+// Locked cards and cards in a pending trade can't be burned, so bulk actions always keep them
+function isProtectedEntry(entry) {
+  return Boolean(entry.locked || entry.escrow_trade_id);
+}
 
-    return loadingMsg.edit({
-      content: details,
-      files: [attachment]
-    });
+// Inventory grouped by card_id, only cards with more than one copy: [{ card, entries }],
+// most copies first
+function groupDuplicates(inventory) {
+  const groups = new Map();
+  for (const entry of inventory) {
+    const cardId = entry.card_id || entry.cardId;
+    if (!groups.has(cardId)) groups.set(cardId, { card: cardMap.get(cardId), entries: [] });
+    groups.get(cardId).entries.push(entry);
   }
 
-  // cd inventory
-  if (command === 'cd inventory' || command === 'cd inv' || command === 'cd i') {
-    const text = formatInventory(data.inventory);
-    return message.reply(text);
+  return [...groups.values()]
+    .filter(group => group.entries.length > 1)
+    .sort((a, b) => b.entries.length - a.entries.length ||
+      formatCardName(a.card?.name).localeCompare(formatCardName(b.card?.name)));
+}
+
+// Copies to burn so `keep` of each card are left (the best grades, oldest first on a tie):
+// [{ card, burn: [{ entry, dust }] }]. Protected copies are never burned. Locked copies count
+// towards `keep`; cards in a pending trade may be about to leave, so they don't.
+function planExtrasBurn(inventory, keep) {
+  const plan = [];
+  for (const { card, entries } of groupDuplicates(inventory)) {
+    const locked = entries.filter(entry => entry.locked).length;
+    const burnable = entries
+      .filter(entry => !isProtectedEntry(entry))
+      .sort((a, b) => (b.psa_grade || 0) - (a.psa_grade || 0) || a.obtained_at - b.obtained_at);
+    const burn = burnable.slice(Math.max(0, keep - locked)).map(entry => ({ entry, dust: burnValue(card, entry.psa_grade) }));
+    if (burn.length) plan.push({ card, burn });
   }
+  return plan;
+}
 
-  // cd binder
-  if (command === 'cd binder' || command === 'cd b' || command === 'binder') {
-    const page = 0;
-    const { embed, totalPages } = formatBinderEmbed(data.inventory, page);
-    
-    if (totalPages <= 1) {
-      return message.reply({ embeds: [embed] });
-    }
+function buildBurnPreview(userId, preview, plan) {
+  const lines = plan.map(({ card, burn }) =>
+    `• **${formatCardName(card?.name)}** - ${burn.length} ${burn.length === 1 ? 'copy' : 'copies'}: ` +
+    burn.map(({ entry }) => `\`${entry.instance_id}\` ${formatGrade(entry.psa_grade)}`).join(', ')
+  );
+  const shown = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length > 3500) break;
+    shown.push(line);
+    length += line.length + 1;
+  }
+  const more = lines.length > shown.length ? `\n...and ${lines.length - shown.length} more cards` : '';
+  const dust = preview.items.reduce((sum, item) => sum + item.dust, 0);
 
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('binder_prev_0')
-          .setLabel('⬅️ Previous')
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(true),
-        new ButtonBuilder()
-          .setCustomId('binder_next_0')
-          .setLabel('Next ➡️')
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(totalPages === 1)
-      );
+  const embed = new EmbedBuilder()
+    .setColor(0xe67e22)
+    .setTitle('🔥 Burn extras - preview')
+    .setDescription(
+      `Burning **${preview.items.length}** cards for **${formatDust(dust)}**, keeping the best ${preview.keep} of each ` +
+      `(locked cards and cards in pending trades are always kept). Burned cards stay in \`/bin\` for ${RECYCLE_BIN_DAYS} days.\n\n${shown.join('\n')}${more}`
+    )
+    .setFooter({ text: 'Confirm within 5 minutes' });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`burnextras_confirm_${userId}_${preview.id}`)
+      .setLabel(`🔥 Burn ${preview.items.length} cards`)
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`burnextras_cancel_${userId}_${preview.id}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
 
-    return message.reply({ embeds: [embed], components: [row] });
-  }
+// Roll a PSA grade (1-10) once, when a card instance is obtained
+function rollPsaGrade() {
+  return Math.floor(Math.random() * 10) + 1;
+}
 
-  // cd pick / pk
-  if (command === 'cd pick' || command === 'cd pk' || command === 'pk' || command === 'pick') {
-    const elapsed = now - data.lastPick;
-    if (elapsed < PICK_COOLDOWN) {
-      const remaining = PICK_COOLDOWN - elapsed;
-      return message.reply(`⏳ You can pick again in **${msToNice(remaining)}**.`);
-    }
+// Format a stored PSA grade (older rows without one show "PSA ?")
+function formatGrade(grade) {
+  return grade ? `PSA ${grade}` : 'PSA ?';
+}
 
-    // Draw 3 random cards
-    const choices = [];
-    for (let i = 0; i < 3; i++) {
-      const card = randomCard();
-      if (!card) break;
-      choices.push(card);
+// Set name plus collector number when known, e.g. "Base Set 2 #4/130"
+// /search owner list: loaded trainers who own `card`, with their card IDs. Trainers with a
+// private binder are only counted.
+function formatCardOwners(card) {
+  const owners = [];
+  let hidden = 0;
+  for (const [userId, userDataObj] of userData) {
+    const owned = userDataObj.inventory.filter(entry => {
+      const cardId = entry.card_id || entry.cardId;
+      return cardId === card.id;
+    });
+    if (!owned.length) continue;
+    if (userDataObj.binderPrivate) {
+      hidden++;
+      continue;
     }
+    const instanceIds = owned.map(e => e.instance_id).filter(Boolean).join(', ');
+    owners.push(`<@${userId}> (${instanceIds})`);
+  }
 
-    if (choices.length < 3) {
-      return message.reply('❌ Not enough cards available.');
-    }
+  if (hidden) owners.push(`🔒 ${hidden} private binder${hidden === 1 ? '' : 's'}`);
+  return owners.length > 0 ? owners.join(', ') : 'Unclaimed';
+}
 
-    data.lastPick = now;
-    data.pickChoices = choices;
-    await saveUserCooldowns(user.id, data);
+function formatCardSet(card) {
+  return card.number ? `${card.set} #${card.number}` : card.set;
+}
+
+// Standard text shown when a single card is revealed
+function formatCardReveal(card, quality) {
+  return `## ${formatCardName(card.name)}\n**Set:** ${formatCardSet(card)} | **Rarity:** ${formatRarity(card.rarity)} | **Quality:** ${quality}`;
+}
+
+// Format card names: remove underscores and uppercase
+function formatCardName(name) {
+  if (!name) return 'Unknown';
+  return name
+    .replace(/_/g, ' ') // Replace underscores with spaces
+    .toUpperCase(); // Convert to uppercase
+}
+
+// ------------------- COMMANDS -------------------
+// Every command is defined once in `commands`. Text commands (`cd ...`), slash commands and the
+// /menu buttons all dispatch through runCommand(), and /help is generated from the same list.
+//
+//   name         slash command name, and the word after `cd` (`cd draw`)
+//   description  shown in the slash command picker and in /help
+//   aliases      other words accepted after `cd` (`cd d`)
+//   bare         words that work on their own, without `cd` (`pick`)
+//   cooldown     ms between uses, shown in /help
+//   options      (builder) => builder, adds the slash command's options (text commands take
+//                the same options as arguments, see parseTextOptions)
+//   greedy       string options that take several words in a text command
+//   text, slash  false to leave the command out of text or slash commands
+//   button       { label, style, status } puts it on the /menu dashboard; status(user, data) is
+//                the text shown next to it (commands with a cooldown show when they're ready)
+//   cooldownKey  user data field holding when the command was last used (lastDraw, ...)
+//   anyChannel   works outside the channel set with /setchannel
+//   needsCards   refused until card images are loaded
+//   admin        listed under Admin Commands in /help
+//   execute(ctx) see createMessageContext / createInteractionContext
+
+const TEXT_PREFIX = 'cd'; // default, guilds can change it with /textcommands
+const DEFAULT_TEXT_COMMAND = 'draw'; // plain `cd`
+const TEXT_PREFIX_PATTERN = /^[^\s`/]{1,10}$/;
+const TEXT_ALIAS_PATTERN = /^[a-z0-9_-]{1,20}$/;
+
+// Stands in for interaction.options when there are no slash options to read
+const NO_OPTIONS = {
+  getString: () => null,
+  getInteger: () => null,
+  getUser: () => null,
+  getChannel: () => null,
+  getBoolean: () => null
+};
+
+// Command context for a text message. After defer() replies edit the loading message instead
+// of sending a new one. Text replies can't be private, so replyPrivate() is a normal reply.
+// `options` and `usageError` come from parseTextOptions.
+function createMessageContext(message, { options = NO_OPTIONS, error: usageError } = {}) {
+  let loadingMessage = null;
+
+  const reply = payload => {
+    if (!loadingMessage) return message.reply(payload);
+    // Replace the loading text unless the reply brings its own
+    return loadingMessage.edit(typeof payload === 'string' ? payload : { content: '', ...payload });
+  };
+
+  return {
+    source: 'text',
+    user: message.author,
+    guild: message.guild,
+    channel: message.channel,
+    options,
+    usageError,
+    async defer({ loading = '⏳ Loading...' } = {}) {
+      loadingMessage = await message.reply(loading);
+    },
+    reply,
+    replyPrivate: reply
+  };
+}
+
+// Command context for a slash command or button click (source 'slash' or 'button')
+function createInteractionContext(interaction, source) {
+  const send = payload => {
+    if (interaction.deferred) return interaction.editReply(payload);
+    if (interaction.replied) return interaction.followUp(payload);
+    return interaction.reply(payload);
+  };
+
+  return {
+    source,
+    user: interaction.user,
+    guild: interaction.guild,
+    channel: interaction.channel,
+    options: interaction.isChatInputCommand() ? interaction.options : NO_OPTIONS,
+    defer: ({ ephemeral = false } = {}) => interaction.deferReply({ ephemeral }),
+    reply: send,
+    // Ephemeral, unless the reply was already deferred publicly
+    replyPrivate: payload => send(typeof payload === 'string'
+      ? { content: payload, ephemeral: true }
+      : { ...payload, ephemeral: true })
+  };
+}
 
-    // Send loading message
-    const loadingMsg = await message.reply('⏳ Loading cards...');
+// One binder page with binder_prev_<page>_<view> / binder_next_<page>_<view> buttons.
+// Replaces any earlier page image, so it can be used to edit a binder message in place.
+// owner is the trainer being browsed when it isn't your own binder (view.owner is their ID).
+async function buildBinderReply(inventory, page = 0, view = DEFAULT_BINDER_VIEW, owner = null) {
+  const { embed, totalPages, image } = view.visual
+    ? await formatVisualBinderPage(inventory, page, view, owner)
+    : formatBinderEmbed(inventory, page, view, owner);
+  const files = image ? [new AttachmentBuilder(image, { name: 'binder.png' })] : [];
+
+  if (totalPages <= 1) {
+    return { embeds: [embed], components: [], files, attachments: [] };
+  }
 
-    // Combine the 3 images horizontally
-    const combinedImageBuffer = await combineCardImages(
-      choices[0].imageUrl,
-      choices[1].imageUrl,
-      choices[2].imageUrl
+  const encodedView = encodeBinderView(view);
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`binder_prev_${page}_${encodedView}`)
+        .setLabel('⬅️ Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(`binder_next_${page}_${encodedView}`)
+        .setLabel('Next ➡️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= totalPages - 1)
     );
 
-    if (!combinedImageBuffer) {
-      return loadingMsg.edit('❌ Failed to load card images.');
-    }
+  return { embeds: [embed], components: [row], files, attachments: [] };
+}
 
-    const attachment = new AttachmentBuilder(combinedImageBuffer, { name: 'cards.png' });
+// The latest /menu of each user is refreshed when its next cooldown ends, so the button unlocks
+// on its own. Longer waits (packs) rely on the Refresh button.
+const menuRefreshTimers = new Map(); // userId -> timeout
+const MENU_AUTO_REFRESH_MAX = 60 * 60 * 1000;
 
-    const content = '🎴 **Pick one card to keep:**';
+// /menu dashboard for a user: a field and a button (menu_<command>_<userId>) per menu command.
+// Buttons still on cooldown are disabled; their field counts down with a live Discord timestamp.
+// Returns { message, nextReadyAt } - when the next cooldown ends, or null if nothing's waiting.
+async function buildMenu(user) {
+  const data = await getUserData(user.id);
+  const now = Date.now();
+  const menuCommands = commands.filter(command => command.button);
+  let nextReadyAt = null;
 
-    // Create buttons for selection
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('btn_pick_0')
-          .setLabel('1️⃣')
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId('btn_pick_1')
-          .setLabel('2️⃣')
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId('btn_pick_2')
-          .setLabel('3️⃣')
-          .setStyle(ButtonStyle.Success)
-      );
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`🎮 ${user.username}'s Card Menu`)
+    .setFooter({ text: 'Buttons unlock when their cooldown ends. Only you can use this menu.' });
+
+  const actionRow = new ActionRowBuilder();
+
+  for (const command of menuCommands) {
+    const readyAt = command.cooldownKey ? data[command.cooldownKey] + command.cooldown : 0;
+    const onCooldown = readyAt > now;
+    let status;
+
+    if (onCooldown) {
+      status = `⏳ Ready <t:${Math.ceil(readyAt / 1000)}:R>`;
+      nextReadyAt = Math.min(nextReadyAt ?? readyAt, readyAt);
+    } else if (command.button.status) {
+      try {
+        status = await command.button.status(user, data);
+      } catch (error) {
+        console.error(`Error building ${command.name} menu status:`, error);
+        status = '—';
+      }
+    } else {
+      status = '✅ Ready';
+    }
 
-    return loadingMsg.edit({
-      content: content,
-      files: [attachment],
-      components: [row]
-    });
+    embed.addFields({ name: command.button.label, value: status, inline: true });
+    actionRow.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`menu_${command.name}_${user.id}`)
+        .setLabel(command.button.label)
+        .setStyle(command.button.style)
+        .setDisabled(onCooldown)
+    );
   }
 
-  // cd help
-  if (command === 'cd help' || command === 'help') {
-    return message.reply(
-      '**Card Game Commands:**\n\n' +
-      '**Text Commands:**\n' +
-      '`cd` or `cd draw` - Draw a card (15 min cooldown)\n' +
-      '`cd pack` or `cd p` - Open a pack of 5 cards (10 min cooldown)\n' +
-      '`pick` or `pk` - Pick 1 from 3 cards (30 min cooldown)\n' +
-      '`cd inventory`, `cd inv`, or `cd i` - View your collection\n' +
-      '`binder`, `cd binder`, or `cd b` - View organized binder\n' +
-      '`help` or `cd help` - Show this help\n\n' +
-      '**Slash Commands:**\n' +
-      '`/draw` - Draw a card\n' +
-      '`/pack` - Open a pack\n' +
-      '`/pick` - Pick from 3 cards\n' +
-      '`/binder` - View organized binder\n' +
-      '`/menu` - Interactive button menu\n' +
-      '`/search <name>` - Search for cards by name\n' +
-      '`/view <card>` - View a specific card\n' +
-      '`/trade <card> <@trainer>` - Trade a card to another trainer\n' +
-      '`/burn <card>` - Burn a card (permanent deletion)\n' +
-      '`/clearbinder <confirm>` - Clear your entire collection (type your display name)\n' +
-      '`/reset_me` - Reset your data (testing)\n\n' +
-      '**Admin Commands:**\n' +
-      '`/setchannel <channel>` - Restrict commands to a channel (Admin)\n' +
-      '`/channelinfo` - View channel restrictions\n' +
-      '`/setadmin <user> <add/remove>` - Manage bot admins (Admin)\n' +
-      '`/help` - Show this help'
+  const refreshRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`menu_refresh_${user.id}`)
+        .setLabel('🔄 Refresh')
+        .setStyle(ButtonStyle.Secondary)
     );
-  }
-});
 
-client.on('interactionCreate', async interaction => {
-  // Handle slash commands
-  if (interaction.isChatInputCommand()) {
-    // Handle /setchannel command
-    if (interaction.commandName === 'setchannel') {
-      const channel = interaction.options.getChannel('channel');
-      const success = await setGuildChannel(interaction.guild.id, channel.id);
-      
-      if (success) {
-        return interaction.reply({
-          content: `✅ Bot commands are now restricted to <#${channel.id}>`,
-          ephemeral: true
-        });
-      } else {
-        return interaction.reply({
-          content: '❌ Failed to set channel configuration.',
-          ephemeral: true
-        });
+  return { message: { content: '', embeds: [embed], components: [actionRow, refreshRow] }, nextReadyAt };
+}
+
+function scheduleMenuRefresh(message, user, nextReadyAt) {
+  clearTimeout(menuRefreshTimers.get(user.id));
+  menuRefreshTimers.delete(user.id);
+
+  const delay = nextReadyAt - Date.now();
+  if (!nextReadyAt || delay > MENU_AUTO_REFRESH_MAX) return;
+
+  menuRefreshTimers.set(user.id, setTimeout(() => {
+    menuRefreshTimers.delete(user.id);
+    refreshMenu(message, user);
+  }, Math.max(delay, 0) + 1000));
+}
+
+async function refreshMenu(message, user) {
+  try {
+    const menu = await buildMenu(user);
+    await message.edit(menu.message);
+    scheduleMenuRefresh(message, user, menu.nextReadyAt);
+  } catch (error) {
+    console.error('Error refreshing menu:', error.message);
+  }
+}
+
+// /lock and /unlock
+async function setCardLocked(ctx, instanceId, locked) {
+  const { user } = ctx;
+
+  return withUserLock(user.id, async () => {
+    const data = await getUserData(user.id);
+    const cardEntry = data.inventory.find(entry => entry.instance_id === instanceId);
+    if (!cardEntry) {
+      return ctx.replyPrivate(`❌ You don't have a card with ID \`${instanceId}\`. Use \`/binder\` to see your cards.`);
+    }
+
+    const card = cardMap.get(cardEntry.card_id);
+    const cardName = card ? formatCardName(card.name) : 'Unknown';
+    if (Boolean(cardEntry.locked) === locked) {
+      return ctx.replyPrivate(`ℹ️ **${cardName}** (\`${instanceId}\`) is already ${locked ? 'locked' : 'unlocked'}.`);
+    }
+
+    if (cardEntry.escrow_trade_id) {
+      return ctx.replyPrivate(`❌ \`${instanceId}\` is offered in a pending trade - cancel or finish the trade first.`);
+    }
+
+    try {
+      if (!await db.setInventoryLocked(user.id, instanceId, locked)) {
+        await refreshInventory(user.id);
+        return ctx.replyPrivate(`❌ \`${instanceId}\` can't be ${locked ? 'locked' : 'unlocked'} right now - it may be in a pending trade.`);
       }
+    } catch (error) {
+      console.error('Error updating card lock:', error);
+      return ctx.replyPrivate('❌ Failed to update the card. Please try again.');
     }
 
-    // Handle /channelinfo command
-    if (interaction.commandName === 'channelinfo') {
-      const guildId = interaction.guild?.id;
-      const channelId = serverConfig.get(guildId);
-      
-      if (!channelId) {
-        return interaction.reply({
-          content: '📋 No channel restriction set. Commands work in all channels.\n\n*Admins can use `/setchannel` to restrict to a specific channel.*',
-          ephemeral: true
-        });
+    data.inventory = data.inventory.map(entry => entry.instance_id === instanceId ? { ...entry, locked } : entry);
+    return ctx.replyPrivate(locked
+      ? `🔒 Locked **${cardName}** (\`${instanceId}\`). It can't be burned, traded or cleared until you \`/unlock\` it.`
+      : `🔓 Unlocked **${cardName}** (\`${instanceId}\`).`);
+  });
+}
+
+const commands = [
+  {
+    name: 'draw',
+    description: 'Draw 1 card',
+    aliases: ['d'],
+    cooldown: DRAW_COOLDOWN,
+    cooldownKey: 'lastDraw',
+    button: { label: '🎴 Draw', style: ButtonStyle.Primary },
+    needsCards: true,
+    async execute(ctx) {
+      const { card, entry, completedSets, remaining, error } = await claimDraw(ctx.user.id, Date.now());
+      if (remaining) {
+        return ctx.replyPrivate(`⏳ You can draw again in **${msToNice(remaining)}**.`);
       }
-      
-      return interaction.reply({
-        content: `📋 Bot commands are restricted to: <#${channelId}>\n\n*Admins can use \`/setchannel\` to change it.*`,
-        ephemeral: true
+      if (error) {
+        return ctx.replyPrivate(error === 'no_cards' ? '❌ No cards available.' : GRANT_FAILED_MESSAGE);
+      }
+
+      await ctx.defer({ loading: '⏳ Drawing card...' });
+
+      const quality = formatGrade(entry.psa_grade);
+
+      return ctx.reply({
+        content: formatCardReveal(card, quality) + formatSetCompletions(ctx.user.id, completedSets),
+        files: [card.imageUrl]
       });
     }
+  },
+
+  {
+    name: 'pack',
+    description: 'Open 1 pack of 5 cards',
+    aliases: ['p'],
+    cooldown: PACK_COOLDOWN,
+    cooldownKey: 'lastPack',
+    button: { label: '📦 Pack', style: ButtonStyle.Success },
+    needsCards: true,
+    async execute(ctx) {
+      const { pulled, completedSets, remaining, error } = await claimPack(ctx.user.id, Date.now());
+      if (remaining) {
+        return ctx.replyPrivate(`⏳ You can open another pack in **${msToNice(remaining)}**.`);
+      }
+      if (error) {
+        return ctx.replyPrivate(error === 'no_cards' ? '❌ No cards available for pack.' : GRANT_FAILED_MESSAGE);
+      }
 
-    // Handle /setadmin command
-    if (interaction.commandName === 'setadmin') {
-      // Bootstrap: If no admins exist yet AND user is server owner, make them admin
-      if (adminUsers.size === 0 && interaction.guild?.ownerId === interaction.user.id) {
-        await addAdmin(interaction.user.id);
-        await interaction.reply({
-          content: '✅ Welcome! You have been set as the first admin. You can now manage other admins.',
-          ephemeral: true
-        });
-        // Let them continue to use the command
+      await ctx.defer({ loading: '⏳ Opening pack...' });
+
+      // Combine the 5 images horizontally
+      const imageUrls = pulled.map(c => c.imageUrl);
+      const combinedImageBuffer = await combinePackImages(imageUrls);
+
+      if (!combinedImageBuffer) {
+        return ctx.reply('❌ Failed to load card images.');
       }
-      
-      // Check if user is admin
-      if (!isAdmin(interaction.user.id)) {
-        return interaction.reply({
-          content: '❌ You must be an admin to use this command.',
-          ephemeral: true
-        });
+
+      const attachment = new AttachmentBuilder(combinedImageBuffer, { name: 'pack.png' });
+
+      // Create text details for all cards
+      let details = '🃏 **Pack Cards:**\n';
+      pulled.forEach(card => {
+        const quality = formatGrade(card.psa_grade);
+        details += `• **${formatCardName(card.name)}** - ${formatRarity(card.rarity)} - ${quality} | ${formatCardSet(card)}\n`;
+      });
+      details += formatSetCompletions(ctx.user.id, completedSets);
+
+      return ctx.reply({
+        content: details,
+        files: [attachment]
+      });
+    }
+  },
+
+  {
+    name: 'pick',
+    description: 'Choose 1 card from 3 options',
+    aliases: ['pk'],
+    bare: ['pick', 'pk'],
+    cooldown: PICK_COOLDOWN,
+    cooldownKey: 'lastPick',
+    button: { label: '🃏 Pick', style: ButtonStyle.Success },
+    async execute(ctx) {
+      const { session, choices, remaining, error } = await startPick(ctx.user.id, Date.now());
+      if (remaining) {
+        return ctx.replyPrivate(`⏳ You can pick again in **${msToNice(remaining)}**.`);
+      }
+      if (error) {
+        return ctx.replyPrivate(error === 'no_cards'
+          ? '❌ Not enough cards available.'
+          : '❌ Failed to start your pick. Your cooldown wasn\'t used - please try again.');
+      }
+
+      await ctx.defer({ loading: '⏳ Loading cards...' });
+
+      // Combine the 3 images horizontally
+      const combinedImageBuffer = await combineCardImages(
+        choices[0].imageUrl,
+        choices[1].imageUrl,
+        choices[2].imageUrl
+      );
+
+      if (!combinedImageBuffer) {
+        return ctx.reply('❌ Failed to load card images.');
+      }
+
+      const attachment = new AttachmentBuilder(combinedImageBuffer, { name: 'cards.png' });
+
+      const cardInfo = choices.map((card, i) =>
+        `**${PICK_EMOJIS[i]} ${formatCardName(card.name)}** - ${formatRarity(card.rarity)} - Set: ${formatCardSet(card)}`
+      ).join('\n');
+
+      const embed = new EmbedBuilder()
+        .setTitle('🎴 Pick one card to keep:')
+        .setDescription(cardInfo)
+        .setImage('attachment://cards.png')
+        .setColor(0x5865F2)
+        .setFooter({ text: `Pick within ${formatDuration(PICK_TIMEOUT)} or one is picked for you.` });
+
+      const reply = await ctx.reply({
+        embeds: [embed],
+        files: [attachment],
+        components: [buildPickButtons(session)]
+      });
+
+      // Remember where the pick lives so its buttons can be disabled when it expires
+      try {
+        await db.setPickSessionMessage(session.id, reply.channelId, reply.id);
+      } catch (error) {
+        console.error('Error saving pick message:', error);
+      }
+    }
+  },
+
+  {
+    name: 'inventory',
+    description: 'View your collection as a list',
+    aliases: ['inv', 'i'],
+    slash: false,
+    async execute(ctx) {
+      const data = await getUserData(ctx.user.id);
+      return ctx.replyPrivate(formatInventory(data.inventory));
+    }
+  },
+
+  {
+    name: 'binder',
+    description: 'View your card collection in an organized binder format',
+    aliases: ['b'],
+    greedy: ['set', 'name'],
+    bare: ['binder'],
+    button: {
+      label: '📒 Binder',
+      style: ButtonStyle.Secondary,
+      status: (user, data) => `${data.inventory.length} cards`
+    },
+    options: builder => builder
+      .addUserOption(option =>
+        option.setName('trainer')
+          .setDescription('Browse another trainer\'s binder')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('sort')
+          .setDescription('Order cards by set (default), name, newest, grade or rarity')
+          .setRequired(false)
+          .addChoices(...Object.entries(BINDER_SORTS).map(([value, name]) => ({ name, value })))
+      )
+      .addStringOption(option =>
+        option.setName('set')
+          .setDescription('Only cards from sets whose name contains this')
+          .setMaxLength(BINDER_FILTER_MAX_LENGTH)
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('rarity')
+          .setDescription('Only cards of this rarity')
+          .setRequired(false)
+          .addChoices(...RARITY_TIERS.map(tier => ({ name: tier.label, value: tier.key })))
+      )
+      .addStringOption(option =>
+        option.setName('name')
+          .setDescription('Only cards whose name contains this')
+          .setMaxLength(BINDER_FILTER_MAX_LENGTH)
+          .setRequired(false)
+      )
+      .addBooleanOption(option =>
+        option.setName('stack')
+          .setDescription('Show duplicates as one line, e.g. "x3"')
+          .setRequired(false)
+      )
+      .addBooleanOption(option =>
+        option.setName('visual')
+          .setDescription('Show pages as 3x3 grids of card images (with missing cards when filtered to one set)')
+          .setRequired(false)
+      ),
+    async execute(ctx) {
+      const trainer = ctx.options.getUser('trainer');
+      const owner = trainer && trainer.id !== ctx.user.id ? trainer : null;
+      if (owner?.bot) {
+        return ctx.replyPrivate('❌ Bots don\'t collect cards!');
+      }
+
+      // Defer before loading user data (this takes time with large inventories)
+      await ctx.defer({ loading: '⏳ Opening binder...' });
+      const data = await getUserData(owner ? owner.id : ctx.user.id);
+      if (owner && data.binderPrivate) {
+        return ctx.reply(`🔒 ${owner.username} keeps their binder private.`);
+      }
+
+      const view = { ...binderViewFromOptions(ctx.options), owner: owner?.id || null };
+      return ctx.reply(await buildBinderReply(data.inventory, 0, view, owner));
+    }
+  },
+
+  {
+    name: 'privacy',
+    description: 'Choose whether other trainers can browse your binder and cards',
+    options: builder => builder
+      .addBooleanOption(option =>
+        option.setName('private')
+          .setDescription('Hide your binder and cards from other trainers')
+          .setRequired(false)
+      ),
+    async execute(ctx) {
+      const binderPrivate = ctx.options.getBoolean('private');
+      const data = await getUserData(ctx.user.id);
+
+      if (binderPrivate === null) {
+        return ctx.replyPrivate(data.binderPrivate
+          ? '🔒 Your binder is private. Other trainers can\'t browse it or view your cards.'
+          : '📖 Your binder is public. Other trainers can browse it with `/binder trainer:` and view your cards.');
+      }
+
+      try {
+        await db.setBinderPrivate(ctx.user.id, binderPrivate);
+      } catch (error) {
+        console.error('Error saving binder privacy:', error);
+        return ctx.replyPrivate('❌ Failed to save your privacy setting. Please try again.');
+      }
+      data.binderPrivate = binderPrivate;
+
+      return ctx.replyPrivate(binderPrivate
+        ? '🔒 Your binder is now private. Other trainers can no longer browse it or view your cards.'
+        : '📖 Your binder is now public. Other trainers can browse it and view your cards.');
+    }
+  },
+
+  {
+    name: 'progress',
+    description: 'See how much of each set you\'ve collected (completing a set pays a one-time reward)',
+    aliases: ['sets'],
+    greedy: ['set'],
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('set')
+          .setDescription('List every card you\'re missing from this set')
+          .setRequired(false)
+      ),
+    async execute(ctx) {
+      const query = ctx.options.getString('set');
+      const setName = query && findCardSet(query);
+      if (query && !setName) {
+        return ctx.replyPrivate(`❌ No single set matches "${query}". Sets: ${cardSets.map(set => set.displayName).join(', ')}`);
+      }
+
+      await ctx.defer({ loading: '⏳ Checking your sets...' });
+      const result = await claimSetRewards(ctx.user.id, Date.now());
+      if (result.error) {
+        return ctx.reply('❌ Failed to load your set progress. Please try again.');
       }
 
-      const targetUser = interaction.options.getUser('user');
-      const action = interaction.options.getString('action');
+      const completedAt = new Map(result.completions.map(row => [row.set_name, row.completed_at]));
+      const badge = name => completedAt.has(name) ? `${SET_BADGE} ` : '';
+      const embed = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setFooter({ text: `Owning every card of a set pays ${SET_COMPLETION_DUST.toLocaleString('en-US')} dust once and earns its ${SET_BADGE} badge` })
+        .setTimestamp();
+
+      if (setName) {
+        const set = result.progress.find(progress => progress.setName === setName);
+        const completed = completedAt.has(setName)
+          ? `\n${SET_BADGE} Completed <t:${Math.floor(completedAt.get(setName) / 1000)}:D>`
+          : '';
+        const missing = set.missing.length
+          ? `\n\n**Missing (${set.missing.length}):**\n${formatMissingList(set.missing, PROGRESS_MISSING_LIMIT, '\n')}`
+          : set.total ? '\n\nYou own every card in this set!' : '';
+        embed
+          .setTitle(`📊 ${badge(setName)}${setName}`)
+          .setDescription(`${set.owned}/${set.total} cards · ${formatProgressBar(set.owned, set.total)}${completed}${missing}`);
+      } else {
+        embed
+          .setTitle(`📊 ${ctx.user.username}'s Set Progress`)
+          .addFields(result.progress.map(set => ({
+            name: `${badge(set.setName)}${set.setName}`,
+            value: !set.total
+              ? 'No cards loaded for this set.'
+              : `${set.owned}/${set.total} · ${formatProgressBar(set.owned, set.total)}` +
+                (set.missing.length ? `\nMissing: ${formatMissingList(set.missing, 5)}` : '')
+          })));
+      }
+
+      const reply = { embeds: [embed] };
+      if (result.rewarded.length) {
+        reply.content =
+          `🎉 You completed **${result.rewarded.join('**, **')}** and earned ` +
+          `**${formatDust(SET_COMPLETION_DUST * result.rewarded.length)}** plus the ${SET_BADGE} badge! ` +
+          `Balance: ${formatDust(result.balance)}`;
+      }
+      return ctx.reply(reply);
+    }
+  },
+
+  {
+    name: 'menu',
+    description: 'Show your card game dashboard with cooldowns and buttons',
+    async execute(ctx) {
+      await ctx.defer({ loading: '⏳ Opening menu...' });
+      const menu = await buildMenu(ctx.user);
+      const message = await ctx.reply(menu.message);
+      scheduleMenuRefresh(message, ctx.user, menu.nextReadyAt);
+    }
+  },
+
+  {
+    name: 'search',
+    description: 'Search for cards by name',
+    greedy: ['name'],
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('name')
+          .setDescription('Card name to search for')
+          .setRequired(true)
+      ),
+    async execute(ctx) {
+      const searchQuery = ctx.options.getString('name').toLowerCase();
+      const page = 0;
+
+      // Search through all cards
+      const matchingCards = cards.filter(card =>
+        card.name.toLowerCase().includes(searchQuery)
+      );
+
+      if (matchingCards.length === 0) {
+        return ctx.replyPrivate(`❌ No cards found matching "${searchQuery}".`);
+      }
+
+      await ctx.defer();
+
+      // Build paginated embed with ownership info
+      const CARDS_PER_PAGE = 5;
+      const totalPages = Math.ceil(matchingCards.length / CARDS_PER_PAGE);
+      const pageCards = matchingCards.slice(page * CARDS_PER_PAGE, (page + 1) * CARDS_PER_PAGE);
+
+      let description = '';
+      for (const card of pageCards) {
+        description += `**${card.name}** - ${card.set}\n└ Owners: ${formatCardOwners(card)}\n\n`;
+      }
 
+      const embed = new EmbedBuilder()
+        .setColor('#4287f5')
+        .setTitle(`🔍 Search Results: "${searchQuery}"`)
+        .setDescription(description || 'No cards found.')
+        .setFooter({ text: `Page ${page + 1}/${totalPages} | ${matchingCards.length} cards found` });
+
+      // Add first card image as thumbnail
+      if (pageCards.length > 0) {
+        embed.setThumbnail(pageCards[0].imageUrl);
+      }
+
+      // Add pagination buttons if needed
+      if (totalPages > 1) {
+        const row = new ActionRowBuilder()
+          .addComponents(
+            new ButtonBuilder()
+              .setCustomId(`search_prev_${page}_${searchQuery}`)
+              .setLabel('⬅️ Previous')
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(true),
+            new ButtonBuilder()
+              .setCustomId(`search_next_${page}_${searchQuery}`)
+              .setLabel('Next ➡️')
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(totalPages === 1)
+          );
+
+        return ctx.reply({ embeds: [embed], components: [row] });
+      }
+
+      return ctx.reply({ embeds: [embed] });
+    }
+  },
+
+  {
+    name: 'view',
+    description: 'View a specific card by its card ID',
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('The card ID to view (e.g., pox1lj)')
+          .setRequired(true)
+      )
+      .addUserOption(option =>
+        option.setName('trainer')
+          .setDescription('View a card from another trainer\'s binder')
+          .setRequired(false)
+      ),
+    async execute(ctx) {
+      const instanceId = ctx.options.getString('card');
+      const trainer = ctx.options.getUser('trainer');
+      const owner = trainer && trainer.id !== ctx.user.id ? trainer : null;
+      const data = await getUserData(owner ? owner.id : ctx.user.id);
+
+      if (owner && data.binderPrivate) {
+        return ctx.replyPrivate(`🔒 ${owner.username} keeps their binder private.`);
+      }
+
+      // Find the card in the owner's inventory
+      const cardEntry = data.inventory.find(entry => {
+        const entryInstanceId = entry.instance_id || entry.instanceId;
+        return entryInstanceId === instanceId;
+      });
+
+      if (!cardEntry) {
+        return ctx.replyPrivate(owner
+          ? `❌ ${owner.username} doesn't have a card with ID \`${instanceId}\`.`
+          : `❌ You don't have a card with ID \`${instanceId}\`. Check your inventory.`);
+      }
+
+      const cardId = cardEntry.card_id || cardEntry.cardId;
+      const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
+
+      if (!card) {
+        return ctx.replyPrivate(`❌ Card data not found for \`${instanceId}\`.`);
+      }
+
+      await ctx.defer();
+
+      const cardName = formatCardName(card.name);
+      const quality = formatGrade(cardEntry.psa_grade);
+      const obtainedDate = new Date(cardEntry.obtained_at || cardEntry.obtainedAt).toLocaleDateString();
+
+      return ctx.reply({
+        content:
+          `## ${cardName}\n` +
+          `**Set:** ${formatCardSet(card)}\n` +
+          `**Rarity:** ${formatRarity(card.rarity)}\n` +
+          (card.type ? `**Type:** ${card.type}\n` : '') +
+          (card.hp ? `**HP:** ${card.hp}\n` : '') +
+          `**Quality:** ${quality}\n` +
+          (owner ? `**Trainer:** <@${owner.id}>\n` : '') +
+          `**Owner:** \`${instanceId}\`${cardEntry.locked ? ' 🔒 Locked' : ''}\n` +
+          `**Obtained:** ${obtainedDate}`,
+        files: [card.imageUrl],
+        allowedMentions: { parse: [] }
+      });
+    }
+  },
+
+  {
+    name: 'lookup',
+    description: 'Find any card by its card ID and see who owns it',
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('The card ID to look up (e.g., pox1lj)')
+          .setRequired(true)
+      ),
+    async execute(ctx) {
+      const instanceId = ctx.options.getString('card').trim().toLowerCase();
+
+      await ctx.defer();
+
+      const cardEntry = await findCardInstance(instanceId);
+      if (!cardEntry) {
+        return ctx.reply(`❌ No card with ID \`${instanceId}\` exists.`);
+      }
+
+      // Trainers with a private binder aren't named to anyone else
+      const owner = cardEntry.user_id !== ctx.user.id && await isBinderPrivate(cardEntry.user_id)
+        ? '🔒 A trainer with a private binder'
+        : `<@${cardEntry.user_id}>`;
+
+      const card = cardMap.get(cardEntry.card_id);
+      if (!card) {
+        return ctx.reply(`❌ Card data not found for \`${instanceId}\` (owned by ${owner}).`);
+      }
+
+      const obtainedDate = new Date(cardEntry.obtained_at).toLocaleDateString();
+
+      return ctx.reply({
+        content:
+          `## ${formatCardName(card.name)}\n` +
+          `**Set:** ${formatCardSet(card)}\n` +
+          `**Rarity:** ${formatRarity(card.rarity)}\n` +
+          `**Quality:** ${formatGrade(cardEntry.psa_grade)}\n` +
+          `**Card ID:** \`${instanceId}\`\n` +
+          `**Owner:** ${owner}\n` +
+          `**Obtained:** ${obtainedDate}`,
+        files: [card.imageUrl],
+        allowedMentions: { parse: [] }
+      });
+    }
+  },
+
+  {
+    name: 'trade',
+    description: 'Offer a card-for-card trade to another trainer (they can counter)',
+    greedy: ['card', 'want'],
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('Your card ID(s) to give, separated by spaces (e.g., pox1lj po2abc)')
+          .setRequired(true)
+      )
+      .addUserOption(option =>
+        option.setName('trainer')
+          .setDescription('The trainer to trade with')
+          .setRequired(true)
+      )
+      .addStringOption(option =>
+        option.setName('want')
+          .setDescription('Their card ID(s) you want in return, separated by spaces')
+          .setRequired(false)
+      ),
+    async execute(ctx) {
+      const { user } = ctx;
+      const now = Date.now();
+      const offeredIds = parseInstanceIds(ctx.options.getString('card'));
+      const wantedIds = parseInstanceIds(ctx.options.getString('want'));
+      const targetUser = ctx.options.getUser('trainer');
+
+      // Check if trading with self
+      if (targetUser.id === user.id) {
+        return ctx.replyPrivate('❌ You cannot trade with yourself!');
+      }
+
+      // Check if bot
       if (targetUser.bot) {
-        return interaction.reply({
-          content: '❌ Cannot make bots admins.',
-          ephemeral: true
-        });
+        return ctx.replyPrivate('❌ You cannot trade with bots!');
       }
 
-      if (action === 'add') {
-        const success = await addAdmin(targetUser.id);
-        if (success) {
-          return interaction.reply({
-            content: `✅ <@${targetUser.id}> is now an admin.`,
-            ephemeral: true
-          });
-        } else {
-          return interaction.reply({
-            content: '❌ Failed to add admin.',
-            ephemeral: true
-          });
+      if (!offeredIds.length) {
+        return ctx.replyPrivate('❌ Give at least one of your card IDs to trade.');
+      }
+
+      if (offeredIds.length > MAX_TRADE_CARDS || wantedIds.length > MAX_TRADE_CARDS) {
+        return ctx.replyPrivate(`❌ You can put at most ${MAX_TRADE_CARDS} cards on each side of a trade.`);
+      }
+
+      // Find the offered cards in the sender's inventory
+      const data = await getUserData(user.id);
+      for (const instanceId of offeredIds) {
+        const cardEntry = data.inventory.find(entry => entry.instance_id === instanceId);
+
+        if (!cardEntry) {
+          return ctx.replyPrivate(`❌ You don't have a card with ID \`${instanceId}\`. Check your inventory.`);
         }
-      } else if (action === 'remove') {
-        if (targetUser.id === interaction.user.id) {
-          return interaction.reply({
-            content: '❌ You cannot remove yourself as admin.',
-            ephemeral: true
-          });
+
+        if (cardEntry.escrow_trade_id) {
+          return ctx.replyPrivate(`❌ \`${instanceId}\` is already offered in a pending trade.`);
         }
 
-        const success = await removeAdmin(targetUser.id);
-        if (success) {
-          return interaction.reply({
-            content: `✅ <@${targetUser.id}> is no longer an admin.`,
-            ephemeral: true
-          });
-        } else {
-          return interaction.reply({
-            content: '❌ Failed to remove admin.',
-            ephemeral: true
+        if (cardEntry.locked) {
+          return ctx.replyPrivate(`🔒 \`${instanceId}\` is locked. Use \`/unlock\` first if you want to trade it.`);
+        }
+      }
+
+      // Find the wanted cards in the other trainer's inventory
+      const targetData = await getUserData(targetUser.id);
+      for (const instanceId of wantedIds) {
+        const cardEntry = targetData.inventory.find(entry => entry.instance_id === instanceId);
+
+        if (!cardEntry) {
+          return ctx.replyPrivate({
+            content: `❌ <@${targetUser.id}> doesn't have a card with ID \`${instanceId}\`.`,
+            allowedMentions: { parse: [] }
           });
         }
+
+        if (cardEntry.escrow_trade_id) {
+          return ctx.replyPrivate(`❌ \`${instanceId}\` is already offered in another pending trade.`);
+        }
+
+        if (cardEntry.locked) {
+          return ctx.replyPrivate(`🔒 \`${instanceId}\` is locked by its owner and can't be traded.`);
+        }
+      }
+
+      // Create the trade; offered cards stay in escrow until it's accepted, declined or expires.
+      // The checks above ran on the cache - the database has the final say, under both trainers' locks.
+      let trade;
+      try {
+        trade = await withUserLock([user.id, targetUser.id], async () => {
+          try {
+            return await db.createTrade({
+              senderId: user.id,
+              receiverId: targetUser.id,
+              senderInstanceIds: offeredIds,
+              receiverInstanceIds: wantedIds,
+              createdAt: now,
+              expiresAt: now + TRADE_EXPIRY
+            });
+          } finally {
+            await refreshInventory(user.id);
+            await refreshInventory(targetUser.id);
+          }
+        });
+      } catch (error) {
+        if (error instanceof TradeError) {
+          return ctx.replyPrivate('❌ Those cards can\'t be traded right now - one of them may be locked or already in another trade.');
+        }
+        console.error('Error creating trade:', error);
+        return ctx.replyPrivate('❌ Failed to create the trade. Please try again.');
+      }
+
+      // Building the composite image can take a moment
+      await ctx.defer({ loading: '⏳ Sending trade offer...' });
+      const message = await buildTradeMessage(trade);
+      message.content = `📦 <@${user.id}> sent a trade offer to <@${targetUser.id}>!\n\n${message.content}`;
+      const reply = await ctx.reply(message);
+
+      // Remember where the offer lives so it can be updated when it expires
+      try {
+        await db.setTradeMessage(trade.id, reply.channelId, reply.id);
+      } catch (error) {
+        console.error('Error saving trade message:', error);
       }
     }
+  },
+
+  {
+    name: 'trades',
+    description: 'See your pending trade offers and accept, decline or cancel them',
+    text: false,
+    button: {
+      label: '🤝 Trades',
+      style: ButtonStyle.Secondary,
+      status: async user => `${(await db.listPendingTrades(user.id)).length} pending`
+    },
+    async execute(ctx) {
+      try {
+        return ctx.replyPrivate(await buildTradesInbox(ctx.user.id));
+      } catch (error) {
+        console.error('Error loading trades:', error);
+        return ctx.replyPrivate('❌ Failed to load your trades. Please try again.');
+      }
+    }
+  },
+
+  {
+    name: 'burn',
+    description: `Burn a card from your inventory for dust (restorable from /bin for ${RECYCLE_BIN_DAYS} days)`,
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('Card ID to burn (e.g., poqpvv)')
+          .setRequired(true)
+      ),
+    async execute(ctx) {
+      const { user } = ctx;
+      const instanceId = ctx.options.getString('card');
+
+      // One burn at a time per user, so the card can't be found and removed twice
+      return withUserLock(user.id, async () => {
+        const data = await getUserData(user.id);
+
+        // Find the card in user's inventory
+        const cardEntry = data.inventory.find(entry => {
+          const entryInstanceId = entry.instance_id || entry.instanceId;
+          return entryInstanceId === instanceId;
+        });
 
-    // Check if command is allowed in this channel (except setchannel and channelinfo)
-    const exemptCommands = ['setchannel', 'channelinfo'];
-    if (!exemptCommands.includes(interaction.commandName) && !isAllowedChannel(interaction.guild?.id, interaction.channel.id)) {
-      return interaction.reply({
-        content: '❌ Commands are not allowed in this channel. Ask an admin to use `/setchannel` to configure.',
-        ephemeral: true
+        if (!cardEntry) {
+          return ctx.replyPrivate(`❌ You don't have a card with ID \`${instanceId}\`. Use \`/binder\` to see your cards.`);
+        }
+
+        const cardId = cardEntry.card_id || cardEntry.cardId;
+        const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
+        const cardName = card ? formatCardName(card.name) : 'Unknown';
+
+        if (cardEntry.escrow_trade_id) {
+          return ctx.replyPrivate(`❌ \`${instanceId}\` is offered in a pending trade and can't be burned.`);
+        }
+
+        if (cardEntry.locked) {
+          return ctx.replyPrivate(`🔒 \`${instanceId}\` is locked. Use \`/unlock\` first if you really want to burn it.`);
+        }
+
+        // Move to the recycle bin and pay out in one go (locked cards and cards in escrow are never burned)
+        const dust = burnValue(card, cardEntry.psa_grade);
+        let balance;
+        try {
+          balance = await db.burnInventoryItem(user.id, instanceId, dust, Date.now());
+          if (balance === null) {
+            await refreshInventory(user.id);
+            return ctx.replyPrivate(`❌ \`${instanceId}\` can't be burned right now - it may be locked or in a pending trade.`);
+          }
+        } catch (error) {
+          console.error('Error burning card:', error);
+          return ctx.replyPrivate('❌ Failed to burn card. Please try again.');
+        }
+
+        // Remove from memory (the array may have been reloaded meanwhile, so match by ID)
+        data.inventory = data.inventory.filter(entry => entry.instance_id !== instanceId);
+
+        return ctx.reply(
+          `🔥 Burned **${cardName}** (\`${instanceId}\`) for **${formatDust(dust)}**! Balance: ${formatDust(balance)}\n` +
+          `♻️ Changed your mind? \`/restore ${instanceId}\` within ${RECYCLE_BIN_DAYS} days brings it back (and takes the dust back).`
+        );
       });
     }
-  }
+  },
+
+  {
+    name: 'duplicates',
+    description: 'Show the cards you have more than one copy of',
+    aliases: ['dupes'],
+    async execute(ctx) {
+      const data = await getUserData(ctx.user.id);
+      const groups = groupDuplicates(data.inventory);
+
+      if (!groups.length) {
+        return ctx.replyPrivate('✨ You have no duplicates - every card in your binder is one of a kind.');
+      }
 
-  // Handle button clicks
-  if (interaction.isButton()) {
-    // Check if button interactions are allowed in this channel
-    if (!isAllowedChannel(interaction.guild?.id, interaction.channel.id)) {
-      return interaction.reply({
-        content: '❌ Commands are not allowed in this channel.',
-        ephemeral: true
+      const extras = groups.reduce((sum, group) => sum + group.entries.length - 1, 0);
+      const lines = groups.slice(0, 25).map(({ card, entries }) =>
+        `**${formatCardName(card?.name)}** ×${entries.length} - ${card ? formatRarity(card.rarity) : 'Unknown'}`
+      );
+      const more = groups.length > 25 ? `\n...and ${groups.length - 25} more` : '';
+
+      const embed = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setTitle(`🗂️ ${ctx.user.username}'s Duplicates`)
+        .setDescription(`${lines.join('\n')}${more}`)
+        .setFooter({ text: `${groups.length} cards with copies, ${extras} extra copies - /burnextras turns extras into dust` });
+
+      return ctx.replyPrivate({ embeds: [embed] });
+    }
+  },
+
+  {
+    name: 'burnextras',
+    description: 'Burn every copy beyond the ones you keep of each card, for dust',
+    options: builder => builder
+      .addIntegerOption(option =>
+        option.setName('keep')
+          .setDescription('Copies of each card to keep (default 1)')
+          .setMinValue(1)
+          .setMaxValue(100)
+          .setRequired(false)
+      ),
+    async execute(ctx) {
+      const keep = ctx.options.getInteger('keep') ?? 1;
+      const data = await getUserData(ctx.user.id);
+      const plan = planExtrasBurn(data.inventory, keep);
+
+      if (!plan.length) {
+        return ctx.replyPrivate(`✨ Nothing to burn - you don't have more than ${keep} burnable ${keep === 1 ? 'copy' : 'copies'} of any card.`);
+      }
+
+      // Confirming burns exactly what was previewed, so keep the plan until then
+      const preview = {
+        id: Date.now().toString(36),
+        keep,
+        items: plan.flatMap(({ burn }) => burn.map(({ entry, dust }) => ({ instanceId: entry.instance_id, dust }))),
+        expiresAt: Date.now() + BURN_PREVIEW_TIMEOUT
+      };
+      data.burnPreview = preview;
+
+      return ctx.replyPrivate(buildBurnPreview(ctx.user.id, preview, plan));
+    }
+  },
+
+  {
+    name: 'craft',
+    description: 'Spend dust to make a specific card from the catalog',
+    greedy: ['card'],
+    needsCards: true,
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('Card name or catalog ID')
+          .setRequired(true)
+      ),
+    async execute(ctx) {
+      const query = ctx.options.getString('card');
+      const { card, matches } = findCatalogCard(query);
+
+      if (!card) {
+        if (!matches.length) {
+          return ctx.replyPrivate(`❌ No cards found matching "${query}". Try \`/search\`.`);
+        }
+        const list = matches.slice(0, 10)
+          .map(match => `• **${formatCardName(match.name)}** - ${formatCardSet(match)} - \`${match.id}\``)
+          .join('\n');
+        const more = matches.length > 10 ? `\n...and ${matches.length - 10} more` : '';
+        return ctx.replyPrivate(`🔍 "${query}" matches ${matches.length} cards - craft one by its catalog ID:\n${list}${more}`);
+      }
+
+      const { entry, cost, balance, completedSets, error } = await claimCraft(ctx.user.id, card, Date.now());
+      if (error === 'insufficient') {
+        return ctx.replyPrivate(`❌ Crafting **${formatCardName(card.name)}** costs **${formatDust(cost)}** - you have ${formatDust(balance)}. Burn cards to get more.`);
+      }
+      if (error) {
+        return ctx.replyPrivate('❌ Failed to craft the card. No dust was spent - please try again.');
+      }
+
+      return ctx.reply({
+        content:
+          `⚒️ <@${ctx.user.id}> crafted a card for **${formatDust(cost)}**!\n` +
+          `${formatCardReveal(card, formatGrade(entry.psa_grade))}\n` +
+          `**Card ID:** \`${entry.instance_id}\` | Balance: ${formatDust(balance)}` +
+          formatSetCompletions(ctx.user.id, completedSets),
+        files: [card.imageUrl]
+      });
+    }
+  },
+
+  {
+    name: 'balance',
+    description: 'Show your dust balance and recent transactions',
+    aliases: ['bal', 'dust'],
+    async execute(ctx) {
+      let balance;
+      let ledger;
+      try {
+        [balance, ledger] = await Promise.all([
+          db.getBalance(ctx.user.id),
+          db.listDustLedger(ctx.user.id, DUST_LEDGER_LIMIT)
+        ]);
+      } catch (error) {
+        console.error('Error loading balance:', error);
+        return ctx.replyPrivate('❌ Failed to load your balance. Please try again.');
+      }
+
+      const history = ledger.map(row => {
+        const amount = row.amount > 0 ? `+${row.amount}` : `${row.amount}`;
+        const ref = row.ref ? ` \`${row.ref}\`` : '';
+        return `\`${amount}\` ${row.reason}${ref} · <t:${Math.floor(row.created_at / 1000)}:R>`;
+      }).join('\n');
+
+      const rates = RARITY_TIERS
+        .map(tier => `${tier.emoji} ${tier.label}: burn ~${tier.dust} · craft ${tier.dust * CRAFT_COST_MULTIPLIER}`)
+        .join('\n');
+
+      const embed = new EmbedBuilder()
+        .setColor(0xf1c40f)
+        .setTitle(`✨ ${ctx.user.username}'s Dust`)
+        .setDescription(`Balance: **${formatDust(balance)}**`)
+        .addFields(
+          { name: 'Recent transactions', value: history || 'None yet - burn a card to get dust.' },
+          { name: 'Dust values (burn pays more for higher grades)', value: rates }
+        );
+
+      return ctx.replyPrivate({ embeds: [embed] });
+    }
+  },
+
+  {
+    name: 'lock',
+    description: 'Lock a card so it can\'t be burned, traded or cleared',
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('Card ID to lock (e.g., poqpvv)')
+          .setRequired(true)
+      ),
+    execute(ctx) {
+      return setCardLocked(ctx, ctx.options.getString('card'), true);
+    }
+  },
+
+  {
+    name: 'unlock',
+    description: 'Unlock a card so it can be burned, traded or cleared again',
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('Card ID to unlock (e.g., poqpvv)')
+          .setRequired(true)
+      ),
+    execute(ctx) {
+      return setCardLocked(ctx, ctx.options.getString('card'), false);
+    }
+  },
+
+  {
+    name: 'bin',
+    description: `List the burned and cleared cards you can still restore (kept ${RECYCLE_BIN_DAYS} days)`,
+    aliases: ['recyclebin'],
+    async execute(ctx) {
+      let items;
+      try {
+        items = await db.listRecycleBin(ctx.user.id);
+      } catch (error) {
+        console.error('Error loading recycle bin:', error);
+        return ctx.replyPrivate('❌ Failed to load your recycle bin. Please try again.');
+      }
+
+      if (!items.length) {
+        return ctx.replyPrivate(`🗑️ Your recycle bin is empty. Burned and cleared cards stay here for ${RECYCLE_BIN_DAYS} days.`);
+      }
+
+      const lines = items.slice(0, RECYCLE_BIN_LIST_LIMIT).map(item => {
+        const card = cardMap.get(item.card_id);
+        const removed = item.reason === 'burn' ? `burned for ${formatDust(item.dust)}` : 'cleared';
+        const purgeAt = Math.floor((item.removed_at + RECYCLE_BIN_RETENTION) / 1000);
+        return `\`${item.instance_id}\` **${formatCardName(card?.name)}** (${formatGrade(item.psa_grade)}) · ${removed} · gone <t:${purgeAt}:R>`;
+      });
+      const more = items.length > RECYCLE_BIN_LIST_LIMIT ? `\n...and ${items.length - RECYCLE_BIN_LIST_LIMIT} more` : '';
+
+      const embed = new EmbedBuilder()
+        .setColor(0x95a5a6)
+        .setTitle(`🗑️ ${ctx.user.username}'s Recycle Bin`)
+        .setDescription(`${lines.join('\n')}${more}`)
+        .setFooter({ text: `${items.length} card(s) · /restore <id> or /restore all · restoring a burned card takes its dust back` });
+
+      return ctx.replyPrivate({ embeds: [embed] });
+    }
+  },
+
+  {
+    name: 'restore',
+    description: 'Bring cards back from your recycle bin (burned cards give their dust back)',
+    greedy: ['card'],
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('card')
+          .setDescription('Card ID(s) to restore, separated by spaces, or "all"')
+          .setRequired(true)
+      ),
+    async execute(ctx) {
+      const { user } = ctx;
+      const requested = parseInstanceIds(ctx.options.getString('card'));
+
+      return withUserLock(user.id, async () => {
+        let items;
+        try {
+          items = await db.listRecycleBin(user.id);
+        } catch (error) {
+          console.error('Error loading recycle bin:', error);
+          return ctx.replyPrivate('❌ Failed to load your recycle bin. Please try again.');
+        }
+
+        const binned = new Map(items.map(item => [item.instance_id, item]));
+        const instanceIds = requested.includes('all') ? [...binned.keys()] : requested;
+        if (!instanceIds.length) {
+          return ctx.replyPrivate('🗑️ Your recycle bin is empty - there\'s nothing to restore.');
+        }
+
+        const restored = [];
+        const missing = [];
+        const unaffordable = [];
+        let paidBack = 0;
+        let balance = null;
+        let failed = false;
+
+        for (const instanceId of instanceIds) {
+          if (!binned.has(instanceId)) {
+            missing.push(instanceId);
+            continue;
+          }
+
+          try {
+            const result = await db.restoreInventoryItem(user.id, instanceId, Date.now());
+            if (!result) {
+              missing.push(instanceId);
+            } else if (!result.restored) {
+              unaffordable.push(`\`${instanceId}\` (${formatDust(result.dust)})`);
+              balance = result.balance;
+            } else {
+              restored.push(binned.get(instanceId));
+              paidBack += result.dust;
+              balance = result.balance;
+            }
+          } catch (error) {
+            console.error('Error restoring card:', error);
+            failed = true;
+            break;
+          }
+        }
+
+        if (restored.length) {
+          await refreshInventory(user.id);
+        }
+
+        const lines = [];
+        if (restored.length) {
+          const names = restored.slice(0, 10)
+            .map(item => `**${formatCardName(cardMap.get(item.card_id)?.name)}** (\`${item.instance_id}\`)`)
+            .join(', ');
+          const more = restored.length > 10 ? ` and ${restored.length - 10} more` : '';
+          lines.push(`♻️ Restored ${restored.length} card(s): ${names}${more}`);
+          if (paidBack) lines.push(`✨ Paid back **${formatDust(paidBack)}** - balance: ${formatDust(balance)}`);
+        }
+        if (unaffordable.length) {
+          lines.push(`💸 Not enough dust to restore ${unaffordable.join(', ')} - you have ${formatDust(balance)}.`);
+        }
+        if (missing.length) {
+          lines.push(`❌ Not in your recycle bin: ${missing.map(id => `\`${id}\``).join(', ')}`);
+        }
+        if (failed) {
+          lines.push('❌ Something went wrong while restoring. Please try again for the rest.');
+        }
+
+        return restored.length ? ctx.reply(lines.join('\n')) : ctx.replyPrivate(lines.join('\n'));
+      });
+    }
+  },
+
+  {
+    name: 'clearbinder',
+    description: 'Clear your entire card collection and start fresh',
+    text: false,
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('confirm')
+          .setDescription('Type your username to confirm')
+          .setRequired(true)
+      ),
+    async execute(ctx) {
+      const { user } = ctx;
+      const confirmText = ctx.options.getString('confirm').toLowerCase().trim();
+      const expectedConfirm = user.username.toLowerCase();
+
+      // Check if confirmation matches username (case-insensitive)
+      if (confirmText !== expectedConfirm) {
+        return ctx.replyPrivate(`❌ Confirmation failed. You must type your username **${user.username}** exactly to clear your binder.\n\n*This moves all your cards to the recycle bin - they're deleted for good after ${RECYCLE_BIN_DAYS} days!*`);
+      }
+
+      return withUserLock(user.id, async () => {
+        const data = await getUserData(user.id);
+        const cardCount = data.inventory.length;
+
+        if (cardCount === 0) {
+          return ctx.replyPrivate('❌ Your binder is already empty!');
+        }
+
+        // Defer reply immediately to prevent timeout
+        await ctx.defer({ ephemeral: true });
+
+        // Clear database inventory first (single query is much faster)
+        try {
+          await db.clearInventory(user.id, Date.now());
+        } catch (invError) {
+          console.error('Error clearing inventory:', invError);
+          return ctx.reply('❌ Failed to clear your binder. Please try again.');
+        }
+
+        // Reload inventory from database (locked cards and cards held in pending trades are kept)
+        await refreshInventory(user.id);
+        const keptCount = data.inventory.length;
+        const keptText = keptCount
+          ? `\n\n🔒 Kept **${keptCount}** card(s) that are locked or offered in pending trades.`
+          : '';
+
+        return ctx.reply(
+          `🗑️ Your binder has been cleared! Moved **${cardCount - keptCount}** cards to your recycle bin. Start collecting fresh!\n` +
+          `♻️ \`/restore all\` within ${RECYCLE_BIN_DAYS} days brings them back.${keptText}`
+        );
       });
     }
-    const { customId, user } = interaction;
-    const now = Date.now();
-    const data = await getUserData(user.id);
+  },
+
+  {
+    name: 'reset_me',
+    description: 'Reset your cards and cooldowns (TEST_MODE only)',
+    text: false,
+    async execute(ctx) {
+      const { user } = ctx;
+
+      // Cleared cards go to the recycle bin, so outside test mode a reset followed by
+      // /restore all would just be a free cooldown reset
+      if (!TEST_MODE) {
+        return ctx.replyPrivate('❌ `/reset_me` only works while the bot runs with TEST_MODE=true.');
+      }
+
+      return withUserLock(user.id, async () => {
+        const data = await getUserData(user.id);
+
+        // Clear database inventory
+        try {
+          await db.clearInventory(user.id, Date.now());
+        } catch (invError) {
+          console.error('Error clearing inventory:', invError);
+        }
+
+        // Reload inventory from database (locked cards and cards held in pending trades are kept)
+        await refreshInventory(user.id);
+
+        // Reset user cooldowns in database
+        data.lastDraw = 0;
+        data.lastPack = 0;
+        data.lastPick = 0;
+        await saveUserCooldowns(user.id, data);
+
+        return ctx.reply('✅ Your data has been reset (testing only).');
+      });
+    }
+  },
+
+  {
+    name: 'help',
+    description: 'Show all available commands',
+    bare: ['help'],
+    anyChannel: true,
+    execute(ctx) {
+      return ctx.replyPrivate({ embeds: [buildHelpEmbed(getTextSettings(ctx.guild?.id))] });
+    }
+  },
+
+  {
+    name: 'setchannel',
+    description: 'Restrict bot commands to one channel (Admin only)',
+    text: false,
+    anyChannel: true,
+    admin: true,
+    options: builder => builder
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('The channel to allow commands in')
+          .setRequired(true)
+      )
+      .setDefaultMemberPermissions(0x8), // Administrator permission
+    async execute(ctx) {
+      const channel = ctx.options.getChannel('channel');
+      const success = await setGuildChannel(ctx.guild.id, channel.id);
+
+      if (success) {
+        return ctx.replyPrivate(`✅ Bot commands are now restricted to <#${channel.id}>`);
+      }
+      return ctx.replyPrivate('❌ Failed to set channel configuration.');
+    }
+  },
 
-    if (customId === 'btn_draw') {
-      const elapsed = now - data.lastDraw;
-      if (elapsed < DRAW_COOLDOWN) {
-        const remaining = DRAW_COOLDOWN - elapsed;
-        return interaction.reply({
-          content: `⏳ You can draw again in **${msToNice(remaining)}**.`,
-          ephemeral: true
-        });
+  {
+    name: 'channelinfo',
+    description: 'Show which channel is configured for bot commands',
+    text: false,
+    anyChannel: true,
+    admin: true,
+    execute(ctx) {
+      const channelId = serverConfig.get(ctx.guild?.id)?.channelId;
+
+      if (!channelId) {
+        return ctx.replyPrivate('📋 No channel restriction set. Commands work in all channels.\n\n*Admins can use `/setchannel` to restrict to a specific channel.*');
       }
 
-      const card = randomCard();
-      if (!card) return interaction.reply({ content: '❌ No cards available.', ephemeral: true });
+      return ctx.replyPrivate(`📋 Bot commands are restricted to: <#${channelId}>\n\n*Admins can use \`/setchannel\` to change it.*`);
+    }
+  },
+
+  {
+    name: 'textcommands',
+    description: 'Show or change the text command prefix and bare words (Admin only)',
+    text: false,
+    anyChannel: true,
+    admin: true,
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('prefix')
+          .setDescription(`New text command prefix, e.g. ! or ${TEXT_PREFIX}`)
+          .setRequired(false)
+      )
+      .addBooleanOption(option =>
+        option.setName('bare_words')
+          .setDescription('Allow words like pick, help and binder without the prefix')
+          .setRequired(false)
+      )
+      .setDefaultMemberPermissions(0x8), // Administrator permission
+    async execute(ctx) {
+      if (!ctx.guild) {
+        return ctx.replyPrivate('❌ Text command settings can only be changed in a server.');
+      }
 
-      const instanceId = generateCardInstanceId();
-      data.inventory.push({ card_id: card.id, obtained_at: now, instance_id: instanceId });
-      data.lastDraw = now;
-      await addCardToInventory(user.id, card.id, now, instanceId);
-      await saveUserCooldowns(user.id, data);
+      const current = getTextSettings(ctx.guild.id);
+      const prefix = ctx.options.getString('prefix')?.trim().toLowerCase();
+      const bareWords = ctx.options.getBoolean('bare_words');
 
-      await interaction.deferReply();
+      if (prefix === undefined && bareWords === null) {
+        return ctx.replyPrivate(formatTextSettings(current));
+      }
 
-      const cardName = formatCardName(card.name);
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
+      if (prefix !== undefined && !TEXT_PREFIX_PATTERN.test(prefix)) {
+        return ctx.replyPrivate('❌ A prefix is 1-10 characters with no spaces, backticks or slashes.');
+      }
 
-      return interaction.editReply({
-        content: `## ${cardName}\n**Set:** ${card.set} | **Quality:** ${quality}`,
-        files: [card.imageUrl]
+      const nextPrefix = prefix ?? current.prefix;
+      const success = await setGuildTextSettings(ctx.guild.id, {
+        prefix: nextPrefix === TEXT_PREFIX ? null : nextPrefix,
+        bareWords: bareWords ?? current.bareWords
       });
-    }
+      if (!success) {
+        return ctx.replyPrivate('❌ Failed to save text command settings.');
+      }
 
-    if (customId === 'btn_inventory') {
-      const text = formatInventory(data.inventory);
-      return interaction.reply({ content: text, ephemeral: true });
+      return ctx.replyPrivate(`✅ Text command settings updated.\n\n${formatTextSettings(getTextSettings(ctx.guild.id))}`);
     }
+  },
+
+  {
+    name: 'alias',
+    description: 'Add a text command alias, or remove one by leaving out the command (Admin only)',
+    text: false,
+    anyChannel: true,
+    admin: true,
+    options: builder => builder
+      .addStringOption(option =>
+        option.setName('word')
+          .setDescription('The alias, e.g. gimme')
+          .setRequired(true)
+      )
+      .addStringOption(option =>
+        option.setName('command')
+          .setDescription('The command it runs (leave out to remove the alias)')
+          .setRequired(false)
+          .addChoices(...commands
+            .filter(command => command.text !== false)
+            .map(command => ({ name: command.name, value: command.name })))
+      )
+      .setDefaultMemberPermissions(0x8), // Administrator permission
+    async execute(ctx) {
+      if (!ctx.guild) {
+        return ctx.replyPrivate('❌ Aliases can only be changed in a server.');
+      }
 
-    // Handle pack pagination (for backward/forward navigation)
-    if (customId.startsWith('pack_prev_') || customId.startsWith('pack_next_')) {
-      const currentPage = parseInt(customId.split('_')[2]);
-      const isNext = customId.startsWith('pack_next_');
-      const newPage = isNext ? currentPage + 1 : currentPage - 1;
-      
-      const packCards = data.packCards;
-      if (!packCards || packCards.length === 0) {
-        return interaction.reply({ content: '❌ No pack data found.', ephemeral: true });
+      const alias = ctx.options.getString('word').trim().toLowerCase();
+      const commandName = ctx.options.getString('command');
+      const { aliases, prefix } = getTextSettings(ctx.guild.id);
+
+      if (!commandName) {
+        if (!aliases.has(alias)) {
+          return ctx.replyPrivate(`❌ There's no alias \`${alias}\`.`);
+        }
+        const success = await setGuildAlias(ctx.guild.id, alias, null);
+        return ctx.replyPrivate(success ? `✅ Removed the alias \`${alias}\`.` : '❌ Failed to remove the alias.');
       }
 
-      const card = packCards[newPage];
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-      const embed = new EmbedBuilder()
-        .setColor('#FFD700')
-        .setTitle('🃏 Pack Card')
-        .setDescription(`**${formatCardName(card.name)}**\nQuality: ${quality}\nSet: ${card.set}\n\nCard \`${card.instance_id}\``)
-        .setImage(card.imageUrl)
-        .setFooter({ text: `Card ${newPage + 1}/${packCards.length}` });
+      if (!TEXT_ALIAS_PATTERN.test(alias)) {
+        return ctx.replyPrivate('❌ An alias is one word of up to 20 letters, numbers, `-` or `_`.');
+      }
 
-      const row = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`pack_prev_${newPage}`)
-            .setLabel('⬅️ Previous')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(newPage === 0),
-          new ButtonBuilder()
-            .setCustomId(`pack_next_${newPage}`)
-            .setLabel('Next ➡️')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(newPage >= packCards.length - 1)
-        );
+      if (textCommands.has(alias) || bareTextCommands.has(alias)) {
+        return ctx.replyPrivate(`❌ \`${alias}\` is already a built-in command word.`);
+      }
 
-      return interaction.update({ embeds: [embed], components: [row] });
+      const success = await setGuildAlias(ctx.guild.id, alias, commandName);
+      return ctx.replyPrivate(success
+        ? `✅ \`${withPrefix(prefix, alias)}\` now runs **${commandName}**.`
+        : '❌ Failed to save the alias.');
     }
+  },
+
+  {
+    name: 'setadmin',
+    description: 'Add or remove a bot admin (Admin only)',
+    text: false,
+    admin: true,
+    options: builder => builder
+      .addUserOption(option =>
+        option.setName('user')
+          .setDescription('The user to add/remove as admin')
+          .setRequired(true)
+      )
+      .addStringOption(option =>
+        option.setName('action')
+          .setDescription('Add or remove admin')
+          .setRequired(true)
+          .addChoices(
+            { name: 'Add', value: 'add' },
+            { name: 'Remove', value: 'remove' }
+          )
+      ),
+    async execute(ctx) {
+      const { user } = ctx;
 
-    // Handle trade accept/decline
-    if (customId.startsWith('trade_accept_') || customId.startsWith('trade_decline_')) {
-      const parts = customId.split('_');
-      const action = parts[1]; // 'accept' or 'decline'
-      const senderId = parts[2];
-      const receiverId = parts[3];
-      const instanceId = parts[4];
+      // Bootstrap: If no admins exist yet AND user is server owner, make them admin
+      if (adminUsers.size === 0 && ctx.guild?.ownerId === user.id) {
+        await addAdmin(user.id);
+        await ctx.replyPrivate('✅ Welcome! You have been set as the first admin. You can now manage other admins.');
+        // Let them continue to use the command
+      }
 
-      // Only the receiver can accept/decline
-      if (user.id !== receiverId) {
-        return interaction.reply({
-          content: '❌ This trade is not for you!',
-          ephemeral: true
-        });
+      // Check if user is admin
+      if (!isAdmin(user.id)) {
+        return ctx.replyPrivate('❌ You must be an admin to use this command.');
       }
 
-      if (action === 'decline') {
-        return interaction.update({
-          content: `❌ <@${receiverId}> declined the trade.`,
-          components: []
-        });
+      const targetUser = ctx.options.getUser('user');
+      const action = ctx.options.getString('action');
+
+      if (targetUser.bot) {
+        return ctx.replyPrivate('❌ Cannot make bots admins.');
       }
 
-      // Accept trade - transfer card
-      const senderData = await getUserData(senderId);
-      const receiverData = await getUserData(receiverId);
+      if (action === 'add') {
+        const success = await addAdmin(targetUser.id);
+        return ctx.replyPrivate(success ? `✅ <@${targetUser.id}> is now an admin.` : '❌ Failed to add admin.');
+      }
 
-      // Find card in sender's inventory
-      const cardIndex = senderData.inventory.findIndex(entry => {
-        const entryInstanceId = entry.instance_id || entry.instanceId;
-        return entryInstanceId === instanceId;
-      });
+      if (targetUser.id === user.id) {
+        return ctx.replyPrivate('❌ You cannot remove yourself as admin.');
+      }
 
-      if (cardIndex === -1) {
-        return interaction.update({
-          content: '❌ Trade failed: Card no longer exists in sender\'s inventory.',
-          components: []
+      const success = await removeAdmin(targetUser.id);
+      return ctx.replyPrivate(success ? `✅ <@${targetUser.id}> is no longer an admin.` : '❌ Failed to remove admin.');
+    }
+  },
+
+  {
+    name: 'cachestats',
+    description: 'Show cache sizes, hit rates and memory use (Admin only)',
+    text: false,
+    admin: true,
+    execute(ctx) {
+      if (!isAdmin(ctx.user.id)) {
+        return ctx.replyPrivate('❌ You must be an admin to use this command.');
+      }
+
+      const memory = process.memoryUsage();
+      const embed = new EmbedBuilder()
+        .setColor(0x95a5a6)
+        .setTitle('🧠 Cache Stats')
+        .setDescription(`Process memory: **${formatBytes(memory.rss)}** RSS · heap ${formatBytes(memory.heapUsed)} / ${formatBytes(memory.heapTotal)}`);
+
+      for (const cache of [userData, imageCache, combinedImageCache]) {
+        const stats = cache.stats();
+        const entryLimit = Number.isFinite(stats.maxEntries) ? `/${stats.maxEntries}` : '';
+        const byteLimit = Number.isFinite(stats.maxBytes) ? ` / ${formatBytes(stats.maxBytes)}` : '';
+        embed.addFields({
+          name: stats.name,
+          value:
+            `Entries: **${stats.entries}${entryLimit}**\n` +
+            `Memory: ~**${formatBytes(stats.bytes)}**${byteLimit}\n` +
+            `Hit rate: **${(stats.hitRate * 100).toFixed(1)}%** (${stats.hits} hits, ${stats.misses} misses)\n` +
+            `Evicted: ${stats.evictions} · Expired: ${stats.expirations}`,
+          inline: true
         });
       }
 
-      const cardEntry = senderData.inventory[cardIndex];
-      const cardId = cardEntry.card_id || cardEntry.cardId;
-      const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
-      const cardName = card ? formatCardName(card.name) : 'Unknown';
+      return ctx.replyPrivate({ embeds: [embed] });
+    }
+  }
+];
 
-      // Remove from sender
-      senderData.inventory.splice(cardIndex, 1);
+const commandsByName = new Map(commands.map(command => [command.name, command]));
 
-      // Add to receiver
-      const now = Date.now();
-      receiverData.inventory.push({
-        card_id: cardId,
-        cardId: cardId,
-        obtained_at: now,
-        obtainedAt: now,
-        instance_id: instanceId
-      });
+// Word after `cd` -> command, and words that work without `cd` -> command
+const textCommands = new Map();
+const bareTextCommands = new Map();
+for (const command of commands) {
+  if (command.text === false) continue;
+  for (const word of [command.name, ...(command.aliases || [])]) textCommands.set(word, command);
+  for (const word of command.bare || []) bareTextCommands.set(word, command);
+}
 
-      // Update database - delete from sender
-      const { error: deleteError } = await supabase
-        .from('inventory')
-        .delete()
-        .eq('user_id', senderId)
-        .eq('instance_id', instanceId)
-        .limit(1);
+// Text command settings for a guild (defaults outside servers and for unconfigured guilds)
+function getTextSettings(guildId) {
+  const config = serverConfig.get(guildId);
+  return {
+    prefix: config?.prefix || TEXT_PREFIX,
+    bareWords: config?.bareWords ?? true,
+    aliases: config?.aliases || new Map()
+  };
+}
 
-      if (deleteError) {
-        console.error('Error deleting card from sender:', deleteError);
-      }
+function formatTextSettings({ prefix, bareWords, aliases }) {
+  const aliasList = [...aliases]
+    .map(([alias, command]) => `\`${withPrefix(prefix, alias)}\` → ${command}`)
+    .join('\n');
+  return (
+    `**Prefix:** \`${prefix}\`\n` +
+    `**Bare words** (\`pick\`, \`help\`, ... without the prefix): ${bareWords ? 'on' : 'off'}\n` +
+    `**Aliases:**\n${aliasList || 'None - add one with `/alias`'}`
+  );
+}
 
-      // Update database - add to receiver
-      await addCardToInventory(receiverId, cardId, now, instanceId);
+// `cd draw` for word prefixes, `!draw` for symbol prefixes
+function withPrefix(prefix, word) {
+  return /[a-z0-9]$/i.test(prefix) ? `${prefix} ${word}` : `${prefix}${word}`;
+}
 
-      return interaction.update({
-        content: `✅ Trade completed! <@${senderId}> traded **${cardName}** (\`${instanceId}\`) to <@${receiverId}>`,
-        components: []
-      });
-    }
+// { command, args } for a text message, or null if it isn't a command
+function parseTextCommand(content, { prefix, bareWords, aliases }) {
+  const text = content.trim();
+  const findCommand = word => textCommands.get(word) || commandsByName.get(aliases.get(word));
 
-    // Handle binder pagination
-    if (customId.startsWith('binder_prev_') || customId.startsWith('binder_next_')) {
-      const currentPage = parseInt(customId.split('_')[2]);
-      const isNext = customId.startsWith('binder_next_');
-      const newPage = isNext ? currentPage + 1 : currentPage - 1;
-      
-      const { embed, totalPages } = formatBinderEmbed(data.inventory, newPage);
-      
-      const row = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`binder_prev_${newPage}`)
-            .setLabel('⬅️ Previous')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(newPage === 0),
-          new ButtonBuilder()
-            .setCustomId(`binder_next_${newPage}`)
-            .setLabel('Next ➡️')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(newPage >= totalPages - 1)
-        );
+  if (text.toLowerCase().startsWith(prefix)) {
+    const afterPrefix = text.slice(prefix.length);
 
-      return interaction.update({ embeds: [embed], components: [row] });
+    // A word prefix needs a space after it, so `cdraw` isn't `cd raw`
+    if (!afterPrefix || /^\s/.test(afterPrefix) || !/[a-z0-9]$/i.test(prefix)) {
+      const [name = DEFAULT_TEXT_COMMAND, ...args] = afterPrefix.split(/\s+/).filter(Boolean);
+      const command = findCommand(name.toLowerCase());
+      if (command) return { command, args };
     }
+  }
 
-    // Handle search pagination
-    if (customId.startsWith('search_prev_') || customId.startsWith('search_next_')) {
-      const parts = customId.split('_');
-      const currentPage = parseInt(parts[2]);
-      const searchQuery = parts.slice(3).join('_');
-      const isNext = customId.startsWith('search_next_');
-      const newPage = isNext ? currentPage + 1 : currentPage - 1;
+  if (!bareWords) return null;
 
-      // Re-run search
-      const matchingCards = cards.filter(card => 
-        card.name.toLowerCase().includes(searchQuery.toLowerCase())
-      );
+  // A bare word followed by other words is just chat, unless the command takes arguments.
+  // `bare` tells the caller to stay quiet if those words don't parse as the command's options.
+  const [first, ...rest] = text.split(/\s+/);
+  const word = first.toLowerCase();
+  const command = bareTextCommands.get(word) || commandsByName.get(aliases.get(word));
+  if (!command || (rest.length && !slashOptions(command).length)) return null;
+  return { command, args: rest, bare: true };
+}
 
-      const CARDS_PER_PAGE = 5;
-      const totalPages = Math.ceil(matchingCards.length / CARDS_PER_PAGE);
-      const pageCards = matchingCards.slice(newPage * CARDS_PER_PAGE, (newPage + 1) * CARDS_PER_PAGE);
+const MENTION_PATTERN = /^<@!?(\d+)>$/;
+const CHANNEL_MENTION_PATTERN = /^<#(\d+)>$/;
 
-      let description = '';
-      for (const card of pageCards) {
-        const owners = [];
-        for (const [userId, userDataObj] of Object.entries(userData)) {
-          const owned = userDataObj.inventory.filter(entry => {
-            const cardId = entry.card_id || entry.cardId;
-            return cardId === card.id;
-          });
-          if (owned.length > 0) {
-            const instanceIds = owned.map(e => e.instance_id).filter(Boolean).join(', ');
-            owners.push(`<@${userId}> (${instanceIds})`);
-          }
-        }
+// The command's slash option definitions (name, type, required, choices)
+function slashOptions(command) {
+  return buildSlashCommand(command).toJSON().options || [];
+}
 
-        const ownerText = owners.length > 0 ? owners.join(', ') : 'Unclaimed';
-        description += `**${formatCardName(card.name)}** - ${card.set}\n└ Owners: ${ownerText}\n\n`;
+// Text values accepted for boolean options
+const TEXT_BOOLEANS = { yes: true, true: true, on: true, no: false, false: false, off: false };
+
+// Reads text command arguments as the command's slash options, in order, so `cd trade po1a2b @user`
+// fills in the same `card` and `trainer` as the slash command. A string option takes one word,
+// or for `greedy` options every word up to the next mention. Optional mentions can be left out.
+// Any option can also be given by name anywhere, like `cd binder sort:grade stack:yes`.
+// -> { options } with the same getters as interaction.options, or { error } with the usage
+async function parseTextOptions(command, args, message, prefix) {
+  const options = slashOptions(command);
+  const values = new Map();
+  const usageError = reason => ({ error: `❌ ${reason}\nUsage: \`${textUsage(command, prefix)}\`` });
+  const namedOption = word => {
+    const [, name, value] = word.match(/^([a-z_]+):(.*)$/i) || [];
+    const option = name && options.find(candidate => candidate.name === name.toLowerCase());
+    return option ? { option, value } : null;
+  };
+
+  // Named arguments first; a greedy one runs on to the next named argument or mention
+  const named = new Map();
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const match = namedOption(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+      continue;
+    }
+    const words = match.value ? [match.value] : [];
+    if (command.greedy?.includes(match.option.name)) {
+      while (i + 1 < args.length && !namedOption(args[i + 1]) && !MENTION_PATTERN.test(args[i + 1])) {
+        words.push(args[++i]);
       }
+    }
+    named.set(match.option.name, words.join(' '));
+  }
 
-      const embed = new EmbedBuilder()
-        .setColor('#4287f5')
-        .setTitle(`🔍 Search Results: "${searchQuery}"`)
-        .setDescription(description || 'No cards found.')
-        .setFooter({ text: `Page ${newPage + 1}/${totalPages} | ${matchingCards.length} cards found` });
+  let next = 0;
+  for (const option of options) {
+    const isNamed = named.has(option.name);
+    const word = isNamed ? named.get(option.name) : positional[next];
+    const consume = () => {
+      if (!isNamed) next++;
+    };
 
-      if (pageCards.length > 0) {
-        embed.setThumbnail(pageCards[0].imageUrl);
-      }
+    if (!word) {
+      if (option.required) return usageError(`Missing \`${option.name}\`.`);
+      continue;
+    }
 
-      const row = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`search_prev_${newPage}_${searchQuery}`)
-            .setLabel('⬅️ Previous')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(newPage === 0),
-          new ButtonBuilder()
-            .setCustomId(`search_next_${newPage}_${searchQuery}`)
-            .setLabel('Next ➡️')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(newPage >= totalPages - 1)
-        );
+    if (option.type === ApplicationCommandOptionType.User) {
+      const userId = word.match(MENTION_PATTERN)?.[1];
+      if (!userId) {
+        if (option.required || isNamed) return usageError(`\`${option.name}\` must be an @mention.`);
+        continue;
+      }
+      const user = message.mentions.users.get(userId) || await client.users.fetch(userId).catch(() => null);
+      if (!user) return usageError(`Couldn't find ${word}.`);
+      values.set(option.name, user);
+      consume();
+      continue;
+    }
 
-      return interaction.update({ embeds: [embed], components: [row] });
+    if (option.type === ApplicationCommandOptionType.Channel) {
+      const channelId = word.match(CHANNEL_MENTION_PATTERN)?.[1];
+      const channel = channelId && (message.mentions.channels.get(channelId) || message.guild?.channels.cache.get(channelId));
+      if (!channel) return usageError(`\`${option.name}\` must be a #channel.`);
+      values.set(option.name, channel);
+      consume();
+      continue;
     }
 
-    // Handle pick card selection (btn_pick_0, btn_pick_1, btn_pick_2)
-    if (customId.startsWith('btn_pick_')) {
-      const index = parseInt(customId.split('_')[2]);
-      
-      if (!data.pickChoices || data.pickChoices.length === 0) {
-        return interaction.reply({ content: '❌ No active pick session. Use `/pick` to start.', ephemeral: true });
+    if (option.type === ApplicationCommandOptionType.Integer) {
+      const value = Number(word);
+      const min = option.min_value ?? -Infinity;
+      const max = option.max_value ?? Infinity;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        const range = option.min_value !== undefined && option.max_value !== undefined ? ` from ${min} to ${max}` : '';
+        return usageError(`\`${option.name}\` must be a whole number${range}.`);
       }
+      values.set(option.name, value);
+      consume();
+      continue;
+    }
 
-      const card = data.pickChoices[index];
-      if (!card) {
-        return interaction.reply({ content: '❌ Invalid choice.', ephemeral: true });
-      }
+    if (option.type === ApplicationCommandOptionType.Boolean) {
+      const value = TEXT_BOOLEANS[word.toLowerCase()];
+      if (value === undefined) return usageError(`\`${option.name}\` must be yes or no.`);
+      values.set(option.name, value);
+      consume();
+      continue;
+    }
 
-      // Defer update FIRST before any async operations
-      await interaction.deferUpdate();
+    // String options
+    let value = word;
+    if (!isNamed) {
+      let end = next + 1;
+      if (command.greedy?.includes(option.name)) {
+        while (end < positional.length && !MENTION_PATTERN.test(positional[end])) end++;
+      }
+      value = positional.slice(next, end).join(' ');
+      next = end;
+    }
+    if (option.choices && !option.choices.some(choice => choice.value === value.toLowerCase())) {
+      return usageError(`\`${option.name}\` must be one of: ${option.choices.map(choice => choice.value).join(', ')}.`);
+    }
+    if (option.max_length && value.length > option.max_length) {
+      return usageError(`\`${option.name}\` can be at most ${option.max_length} characters.`);
+    }
+    values.set(option.name, option.choices ? value.toLowerCase() : value);
+  }
 
-      const instanceId = generateCardInstanceId();
-      data.inventory.push({ card_id: card.id, obtained_at: now, instance_id: instanceId });
-      await addCardToInventory(user.id, card.id, now, instanceId);
-      data.pickChoices = [];
+  if (next < positional.length) return usageError('Too many arguments.');
 
-      const cardName = formatCardName(card.name);
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-      const choiceEmoji = ['1️⃣', '2️⃣', '3️⃣'][index];
-      
-      return interaction.followUp({
-        content: `✅ <@${user.id}> chose **${choiceEmoji} ${cardName}**\n**Set:** ${card.set} | **Quality:** ${quality}`,
-        files: [card.imageUrl]
-      });
+  return {
+    options: {
+      getString: name => values.get(name) ?? null,
+      getInteger: name => values.get(name) ?? null,
+      getBoolean: name => values.get(name) ?? null,
+      getUser: name => values.get(name) ?? null,
+      getChannel: name => values.get(name) ?? null
     }
+  };
+}
+
+// Checks shared by every way of running a command, then the command itself
+async function runCommand(command, ctx) {
+  if (!command.anyChannel && !isAllowedChannel(ctx.guild?.id, ctx.channel.id)) {
+    return ctx.replyPrivate('❌ Commands are not allowed in this channel. Ask an admin to use `/setchannel` to configure.');
   }
 
-  if (!interaction.isChatInputCommand()) return;
+  if (ctx.usageError) {
+    return ctx.replyPrivate(ctx.usageError);
+  }
 
-  const { commandName, user } = interaction;
-  const now = Date.now();
+  if (command.needsCards && !cards.length) {
+    return ctx.replyPrivate('❌ No cards are configured yet. Ask the admin to upload some images to the Supabase bucket.');
+  }
 
-  // Safety: no cards loaded
-  if ((commandName === 'draw' || commandName === 'pack') && !cards.length) {
-    return interaction.reply({
-      content: '❌ No cards are configured yet. Ask the admin to upload some images to the Supabase bucket.',
-      ephemeral: true
-    });
+  try {
+    return await command.execute(ctx);
+  } catch (error) {
+    console.error(`Error running ${command.name}:`, error);
+    return ctx.replyPrivate('❌ Something went wrong. Please try again.').catch(() => {});
   }
+}
 
-  // Get user data after initial checks
-  const data = await getUserData(user.id);
+function buildSlashCommand(command) {
+  const cooldown = command.cooldown ? ` (every ${formatDuration(command.cooldown)})` : '';
+  const builder = new SlashCommandBuilder()
+    .setName(command.name)
+    .setDescription(command.description + cooldown);
+  return command.options ? command.options(builder) : builder;
+}
 
-  // -------- /draw --------
-  if (commandName === 'draw') {
-    const elapsed = now - data.lastDraw;
+// Argument summary, e.g. "<card> <trainer> [want]" (text: "<card...> <@trainer> [want...]")
+function formatArgs(command, { text = false } = {}) {
+  return slashOptions(command).map(option => {
+    let name = option.name;
+    if (text && option.type === ApplicationCommandOptionType.User) name = `@${name}`;
+    if (text && option.type === ApplicationCommandOptionType.Channel) name = `#${name}`;
+    if (text && command.greedy?.includes(option.name)) name += '...';
+    return option.required ? `<${name}>` : `[${name}]`;
+  }).join(' ');
+}
 
-    if (elapsed < DRAW_COOLDOWN) {
-      const remaining = DRAW_COOLDOWN - elapsed;
-      return interaction.reply({
-        content: `⏳ You can draw again in **${msToNice(remaining)}**.`,
-        ephemeral: true
-      });
-    }
+function textUsage(command, prefix) {
+  return `${withPrefix(prefix, command.name)} ${formatArgs(command, { text: true })}`.trim();
+}
 
-    const card = randomCard();
-    if (!card) {
-      return interaction.reply('❌ No cards available.');
+// Every way to run a command in a guild, e.g. ['/pick', 'cd pick', 'cd pk', 'pick', 'pk']
+function commandUsages(command, { prefix, bareWords, aliases }) {
+  const usages = [];
+
+  if (command.slash !== false) {
+    usages.push(`/${command.name} ${formatArgs(command)}`.trim());
+  }
+
+  if (command.text !== false) {
+    const args = formatArgs(command, { text: true });
+    const customAliases = [...aliases].filter(([, name]) => name === command.name).map(([alias]) => alias);
+    if (command.name === DEFAULT_TEXT_COMMAND) usages.push(prefix);
+    for (const word of [command.name, ...(command.aliases || []), ...customAliases]) {
+      usages.push(`${withPrefix(prefix, word)} ${args}`.trim());
     }
+    if (bareWords) {
+      for (const word of command.bare || []) usages.push(`${word} ${args}`.trim());
+    }
+  }
 
-    const instanceId = generateCardInstanceId();
-    data.inventory.push({ card_id: card.id, obtained_at: now, instance_id: instanceId });
-    data.lastDraw = now;
-    await addCardToInventory(user.id, card.id, now, instanceId);
-    await saveUserCooldowns(user.id, data);
+  return usages;
+}
 
-    // Defer reply to show "thinking" state
-    await interaction.deferReply();
+// An embed rather than a message, since the command list is longer than a message can be
+function buildHelpEmbed(settings) {
+  const describe = command => {
+    const usages = commandUsages(command, settings).map(usage => `\`${usage}\``).join(', ');
+    const cooldown = command.cooldown ? ` (${formatDuration(command.cooldown)} cooldown)` : '';
+    return `${usages} - ${command.description}${cooldown}`;
+  };
+
+  return new EmbedBuilder()
+    .setColor('#FFD700')
+    .setTitle('📘 Card Game Commands')
+    .setDescription(
+      commands.filter(command => !command.admin).map(describe).join('\n') +
+      '\n\n**Admin Commands:**\n' +
+      commands.filter(command => command.admin).map(describe).join('\n')
+    )
+    .setFooter({ text: `Text commands also take options by name, e.g. ${withPrefix(settings.prefix, 'binder')} sort:grade stack:yes` });
+}
 
-    const cardName = formatCardName(card.name);
-    const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
+const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
-    return interaction.editReply({
-      content: `## ${cardName}\n**Set:** ${card.set} | **Quality:** ${quality}`,
-      files: [card.imageUrl]
-    });
+async function registerCommands() {
+  try {
+    console.log('Registering slash commands...');
+    await rest.put(
+      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
+      {
+        body: commands
+          .filter(command => command.slash !== false)
+          .map(command => buildSlashCommand(command).toJSON())
+      }
+    );
+    console.log('Slash commands registered!');
+  } catch (err) {
+    console.error('Error registering commands:', err);
   }
+}
 
-  // -------- /pack --------
-  if (commandName === 'pack') {
-    const elapsed = now - data.lastPack;
+// ------------------- BOT EVENTS -------------------
+client.once('clientReady', async () => {
+  console.log(`Logged in as ${client.user.tag}`);
+  await loadServerConfigs();
+  await loadAdmins();
+  await loadInventoryCount();
+
+  // Expire stale trade offers now and on a timer
+  await expireTrades();
+  setInterval(expireTrades, TRADE_SWEEP_INTERVAL);
+
+  // Auto-pick for pick sessions that timed out (including any from before a restart)
+  await expirePickSessions();
+  setInterval(expirePickSessions, PICK_SWEEP_INTERVAL);
+
+  // Delete recycle bin cards whose restore window has passed
+  await purgeRecycleBin();
+  setInterval(purgeRecycleBin, RECYCLE_BIN_PURGE_INTERVAL);
 
-    if (elapsed < PACK_COOLDOWN) {
-      const remaining = PACK_COOLDOWN - elapsed;
+  // Free idle user data
+  setInterval(() => userData.prune(), CACHE_PRUNE_INTERVAL);
+});
+
+// Handle text commands
+client.on('messageCreate', async message => {
+  if (message.author.bot) return;
+
+  const settings = getTextSettings(message.guild?.id);
+  const parsed = parseTextCommand(message.content, settings);
+  if (!parsed) return;
+
+  const { command, args, bare } = parsed;
+  const parsedOptions = await parseTextOptions(command, args, message, settings.prefix);
+
+  // "binder is cool" is chat, not a binder command with a bad sort - only prefixed commands get usage errors
+  if (bare && parsedOptions.error) return;
+
+  return runCommand(command, createMessageContext(message, parsedOptions));
+});
+
+async function handleInteraction(interaction) {
+  // Handle slash commands
+  if (interaction.isChatInputCommand()) {
+    const command = commandsByName.get(interaction.commandName);
+    if (!command) return;
+    return runCommand(command, createInteractionContext(interaction, 'slash'));
+  }
+
+  // Handle button clicks
+  if (interaction.isButton()) {
+    // Check if button interactions are allowed in this channel
+    if (!isAllowedChannel(interaction.guild?.id, interaction.channel.id)) {
       return interaction.reply({
-        content: `⏳ You can open another pack in **${msToNice(remaining)}**.`,
+        content: '❌ Commands are not allowed in this channel.',
         ephemeral: true
       });
     }
+    const { customId, user } = interaction;
+    const now = Date.now();
+    const data = await getUserData(user.id);
 
-    await interaction.deferReply();
+    // /menu dashboard buttons (menu_<command>_<ownerId>, menu_refresh_<ownerId>)
+    if (customId.startsWith('menu_')) {
+      const split = customId.lastIndexOf('_');
+      const action = customId.slice('menu_'.length, split);
+      const ownerId = customId.slice(split + 1);
 
-    const packSize = 5;
-    const pulled = [];
+      if (ownerId !== user.id) {
+        return interaction.reply({
+          content: '❌ This menu belongs to someone else - use `/menu` to open your own.',
+          ephemeral: true
+        });
+      }
 
-    for (let i = 0; i < packSize; i++) {
-      const card = randomCard();
-      if (!card) break;
-      const instanceId = generateCardInstanceId();
-      pulled.push({ ...card, instance_id: instanceId });
-      data.inventory.push({ card_id: card.id, obtained_at: now, instance_id: instanceId });
-      await addCardToInventory(user.id, card.id, now, instanceId);
-    }
+      if (action === 'refresh') {
+        await interaction.deferUpdate();
+        return refreshMenu(interaction.message, user);
+      }
 
-    data.lastPack = now;
-    await saveUserCooldowns(user.id, data);
+      const menuCommand = commandsByName.get(action);
+      if (!menuCommand?.button) return;
 
-    if (!pulled.length) {
-      return interaction.editReply('❌ No cards available for pack.');
+      await runCommand(menuCommand, createInteractionContext(interaction, 'button'));
+      return refreshMenu(interaction.message, user);
     }
 
-    // Combine the 5 images horizontally
-    const imageUrls = pulled.map(c => c.imageUrl);
-    const combinedImageBuffer = await combinePackImages(imageUrls);
-
-    if (!combinedImageBuffer) {
-      return interaction.editReply('❌ Failed to load card images.');
+    // Buttons on menus from before the dashboard (btn_<command>)
+    const menuCommand = customId.startsWith('btn_') && commandsByName.get(customId.slice('btn_'.length));
+    if (menuCommand?.button) {
+      return runCommand(menuCommand, createInteractionContext(interaction, 'button'));
     }
 
-    const attachment = new AttachmentBuilder(combinedImageBuffer, { name: 'pack.png' });
+    // Handle pack pagination (for backward/forward navigation)
+    if (customId.startsWith('pack_prev_') || customId.startsWith('pack_next_')) {
+      const currentPage = parseInt(customId.split('_')[2]);
+      const isNext = customId.startsWith('pack_next_');
+      const newPage = isNext ? currentPage + 1 : currentPage - 1;
+      
+      const packCards = data.packCards;
+      if (!packCards || packCards.length === 0) {
+        return interaction.reply({ content: '❌ No pack data found.', ephemeral: true });
+      }
 
-    // Create text details for all cards
-    let details = '🃏 **Pack Cards:**\n';
-    pulled.forEach((card, i) => {
-      const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-      details += `• **${formatCardName(card.name)}** - ${quality} | ${card.set}\n`;
-    });
+      const card = packCards[newPage];
+      const quality = formatGrade(card.psa_grade);
+      const embed = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setTitle('🃏 Pack Card')
+        .setDescription(`**${formatCardName(card.name)}**\nRarity: ${formatRarity(card.rarity)}\nQuality: ${quality}\nSet: ${card.set}\n\nCard \`${card.instance_id}\``)
+        .setImage(card.imageUrl)
+        .setFooter({ text: `Card ${newPage + 1}/${packCards.length}` });
 
-    return interaction.editReply({
-      content: details,
-      files: [attachment]
-    });
-  }
+      const row = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(`pack_prev_${newPage}`)
+            .setLabel('⬅️ Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(newPage === 0),
+          new ButtonBuilder()
+            .setCustomId(`pack_next_${newPage}`)
+            .setLabel('Next ➡️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(newPage >= packCards.length - 1)
+        );
 
-  // -------- /binder --------
-  if (commandName === 'binder') {
-    // Defer IMMEDIATELY before any database calls
-    await interaction.deferReply();
-    
-    // Now load user data (this takes time with large inventories)
-    const binderData = await getUserData(user.id);
-    
-    const page = 0;
-    const { embed, totalPages } = formatBinderEmbed(binderData.inventory, page);
-    
-    if (totalPages <= 1) {
-      return interaction.editReply({ embeds: [embed] });
+      return interaction.update({ embeds: [embed], components: [row] });
     }
 
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('binder_prev_0')
-          .setLabel('⬅️ Previous')
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(true),
-        new ButtonBuilder()
-          .setCustomId('binder_next_0')
-          .setLabel('Next ➡️')
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(totalPages === 1)
-      );
-
-    return interaction.editReply({ embeds: [embed], components: [row] });
-  }
+    // Handle trade buttons (trade_accept_<tradeId>, trade_counter_<tradeId>, trade_decline_<tradeId>)
+    if (customId.startsWith('trade_accept_') || customId.startsWith('trade_counter_') || customId.startsWith('trade_decline_')) {
+      const parts = customId.split('_');
+      const action = parts[1]; // 'accept', 'counter' or 'decline'
+      const tradeId = parseInt(parts[2]);
 
-  // -------- /burn --------
-  if (commandName === 'burn') {
-    const instanceId = interaction.options.getString('card');
+      // Offers made before trades were stored packed sender/receiver/card into the customId
+      if (parts.length > 3) {
+        return interaction.update({
+          content: '❌ This trade offer is no longer valid. Ask the sender to use `/trade` again.',
+          components: []
+        });
+      }
 
-    // Find the card in user's inventory
-    const cardIndex = data.inventory.findIndex(entry => {
-      const entryInstanceId = entry.instance_id || entry.instanceId;
-      return entryInstanceId === instanceId;
-    });
+      let trade;
+      try {
+        trade = await db.getTrade(tradeId);
+      } catch (error) {
+        console.error('Error loading trade:', error);
+        return interaction.reply({ content: '❌ Failed to load this trade. Please try again.', ephemeral: true });
+      }
 
-    if (cardIndex === -1) {
-      return interaction.reply({
-        content: `❌ You don't have a card with ID \`${instanceId}\`. Use \`/binder\` to see your cards.`,
-        ephemeral: true
-      });
-    }
+      if (!trade) {
+        return interaction.update({ content: '❌ This trade no longer exists.', embeds: [], attachments: [], components: [] });
+      }
 
-    const cardEntry = data.inventory[cardIndex];
-    const cardId = cardEntry.card_id || cardEntry.cardId;
-    const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
-    const cardName = card ? formatCardName(card.name) : 'Unknown';
+      // Only the two trainers in the trade can use its buttons
+      const isSender = user.id === trade.sender_id;
+      if (!isSender && user.id !== trade.receiver_id) {
+        return interaction.reply({
+          content: '❌ This trade is not for you!',
+          ephemeral: true
+        });
+      }
 
-    // Remove from memory
-    data.inventory.splice(cardIndex, 1);
+      if (trade.status !== 'pending') {
+        return interaction.update(closedTradeMessage(trade));
+      }
 
-    // Delete from database
-    const { error } = await supabase
-      .from('inventory')
-      .delete()
-      .eq('user_id', user.id)
-      .eq('instance_id', instanceId)
-      .limit(1);
+      // Decline - the receiver declines, the sender cancels their own offer
+      if (action === 'decline') {
+        try {
+          return interaction.update(closedTradeMessage(await declineTrade(trade, user.id)));
+        } catch (error) {
+          console.error('Error declining trade:', error);
+          return interaction.reply({ content: '❌ Failed to decline the trade. Please try again.', ephemeral: true });
+        }
+      }
 
-    if (error) {
-      console.error('Error deleting from inventory:', error);
-      return interaction.reply({
-        content: '❌ Failed to burn card. Please try again.',
-        ephemeral: true
-      });
-    }
+      // Counter - the receiver picks which of their cards to give instead
+      if (action === 'counter') {
+        if (isSender) {
+          return interaction.reply({
+            content: '❌ Only the receiver can counter this offer. Decline it and send a new `/trade` instead.',
+            ephemeral: true
+          });
+        }
 
-    return interaction.reply(
-      `🔥 Burned **${cardName}** (\`${instanceId}\`)! This card has been permanently deleted.`
-    );
-  }
+        const { receiverItems } = getTradeSides(trade);
+        const input = new TextInputBuilder()
+          .setCustomId('cards')
+          .setLabel('Your card IDs to give (spaces or commas)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(200)
+          .setPlaceholder('e.g. po1a2b po3c4d');
+        if (receiverItems.length) {
+          input.setValue(receiverItems.map(item => item.instance_id).join(' '));
+        }
 
-  // -------- /reset_me --------
-  if (commandName === 'reset_me') {
-    userData[user.id] = {
-      inventory: [],
-      lastDraw: 0,
-      lastPack: 0,
-      lastPick: 0
-    };
+        const modal = new ModalBuilder()
+          .setCustomId(`trade_counter_modal_${trade.id}`)
+          .setTitle(`Counter trade #${trade.id}`)
+          .addComponents(new ActionRowBuilder().addComponents(input));
 
-    // Clear database inventory
-    const { error: invError } = await supabase
-      .from('inventory')
-      .delete()
-      .eq('user_id', user.id);
+        return interaction.showModal(modal);
+      }
 
-    if (invError) {
-      console.error('Error clearing inventory:', invError);
-    }
+      // Accept - confirms for the party still to respond and swaps both sides in a single transaction
+      try {
+        return interaction.update(closedTradeMessage(await acceptTradeFor(trade, user.id)));
+      } catch (error) {
+        if (!(error instanceof TradeError)) {
+          console.error('Error accepting trade:', error);
+          return interaction.reply({ content: '❌ Trade failed. Nothing was transferred - please try again.', ephemeral: true });
+        }
 
-    // Reset user cooldowns in database
-    const { error: userError } = await supabase
-      .from('users')
-      .upsert({
-        user_id: user.id,
-        last_draw: new Date(0).toISOString(),
-        last_pack: new Date(0).toISOString(),
-        last_pick: new Date(0).toISOString()
-      }, { onConflict: 'user_id' });
+        const reason = formatAcceptError(error);
+        if (reason) {
+          return interaction.reply({ content: reason, ephemeral: true });
+        }
 
-    if (userError) {
-      console.error('Error resetting user:', userError);
+        if (error.code === 'TRADE_EXPIRED') {
+          await expireTrades();
+        }
+        const latest = await db.getTrade(tradeId).catch(() => null);
+        return interaction.update(closedTradeMessage(latest || trade));
+      }
     }
 
-    return interaction.reply('✅ Your data has been reset (testing only).');
-  }
-
-  // -------- /clearbinder --------
-  if (commandName === 'clearbinder') {
-    const confirmText = interaction.options.getString('confirm').toLowerCase().trim();
-    const expectedConfirm = user.username.toLowerCase();
-    
-    // Check if confirmation matches username (case-insensitive)
-    if (confirmText !== expectedConfirm) {
-      return interaction.reply({
-        content: `❌ Confirmation failed. You must type your username **${user.username}** exactly to clear your binder.\n\n*This action will delete all your cards permanently!*`,
-        flags: 64 // Ephemeral flag
-      });
-    }
+    // Handle /trades inbox buttons (trades_accept_<tradeId>, trades_decline_<tradeId>, trades_cancel_<tradeId>)
+    if (customId.startsWith('trades_')) {
+      const [, action, id] = customId.split('_');
+      const tradeId = parseInt(id);
+      let notice;
+
+      try {
+        const trade = await db.getTrade(tradeId);
+
+        if (!trade || (trade.sender_id !== user.id && trade.receiver_id !== user.id)) {
+          notice = '❌ That trade no longer exists.';
+        } else if (trade.status !== 'pending') {
+          notice = formatTradeStatus(trade);
+        } else if (action === 'accept') {
+          try {
+            const accepted = await acceptTradeFor(trade, user.id);
+            await updateTradeMessage(accepted);
+            notice = formatTradeStatus(accepted);
+          } catch (error) {
+            if (!(error instanceof TradeError)) throw error;
+            if (error.code === 'TRADE_EXPIRED') await expireTrades();
+            notice = formatAcceptError(error) || formatTradeStatus(await db.getTrade(tradeId) || trade);
+          }
+        } else {
+          const closed = await declineTrade(trade, user.id);
+          await updateTradeMessage(closed);
+          notice = formatTradeStatus(closed);
+        }
 
-    const cardCount = data.inventory.length;
-    
-    if (cardCount === 0) {
-      return interaction.reply({
-        content: '❌ Your binder is already empty!',
-        flags: 64 // Ephemeral flag
-      });
-    }
-    
-    // Defer reply immediately to prevent timeout
-    await interaction.deferReply({ flags: 64 });
-    
-    // Clear database inventory first (single query is much faster)
-    const { error: invError } = await supabase
-      .from('inventory')
-      .delete()
-      .eq('user_id', user.id);
-
-    if (invError) {
-      console.error('Error clearing inventory:', invError);
-      return interaction.editReply({
-        content: '❌ Failed to clear your binder. Please try again.'
-      });
+        return interaction.update(await buildTradesInbox(user.id, `${notice}\n\n`));
+      } catch (error) {
+        console.error('Error handling trade from inbox:', error);
+        return interaction.reply({ content: '❌ Something went wrong with that trade. Please try again.', ephemeral: true });
+      }
     }
 
-    // Clear memory cache and force reload from database
-    delete userData[user.id];
-    await getUserData(user.id); // Reload fresh data from database
+    // /burnextras confirmation (burnextras_confirm_<ownerId>_<previewId>, burnextras_cancel_...)
+    if (customId.startsWith('burnextras_')) {
+      const [, action, ownerId, previewId] = customId.split('_');
 
-    return interaction.editReply({
-      content: `🗑️ Your binder has been cleared! Removed **${cardCount}** cards. Start collecting fresh!`
-    });
-  }
+      if (ownerId !== user.id) {
+        return interaction.reply({ content: '❌ This preview belongs to someone else.', ephemeral: true });
+      }
 
-  // -------- /menu --------
-  if (commandName === 'menu') {
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('btn_draw')
-          .setLabel('🎴 Draw Card')
-          .setStyle(ButtonStyle.Primary),
-        new ButtonBuilder()
-          .setCustomId('btn_pack')
-          .setLabel('📦 Open Pack')
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId('btn_inventory')
-          .setLabel('📋 Inventory')
-          .setStyle(ButtonStyle.Secondary)
-      );
+      const preview = data.burnPreview;
+      if (!preview || preview.id !== previewId || preview.expiresAt < now) {
+        return interaction.update({ content: '⌛ This preview has expired. Use `/burnextras` again.', embeds: [], components: [] });
+      }
+      delete data.burnPreview;
 
-    return interaction.reply({
-      content: '🎮 **Card Game Menu**\nClick a button to play!',
-      components: [row]
-    });
-  }
+      if (action === 'cancel') {
+        return interaction.update({ content: '❎ Cancelled - nothing was burned.', embeds: [], components: [] });
+      }
 
-  // -------- /search --------
-  if (commandName === 'search') {
-    const searchQuery = interaction.options.getString('name').toLowerCase();
-    const page = 0;
+      return withUserLock(user.id, async () => {
+        let result;
+        try {
+          result = await db.burnInventoryItems(user.id, preview.items, now);
+        } catch (error) {
+          console.error('Error burning extras:', error);
+          return interaction.update({ content: '❌ Failed to burn cards. Nothing was burned - please try again.', embeds: [], components: [] });
+        }
 
-    // Search through all cards
-    const matchingCards = cards.filter(card => 
-      card.name.toLowerCase().includes(searchQuery)
-    );
+        const burned = new Set(result.burned);
+        const current = await getUserData(user.id);
+        current.inventory = current.inventory.filter(entry => !burned.has(entry.instance_id));
 
-    if (matchingCards.length === 0) {
-      return interaction.reply({
-        content: `❌ No cards found matching "${searchQuery}".`,
-        ephemeral: true
+        const dust = preview.items.filter(item => burned.has(item.instanceId)).reduce((sum, item) => sum + item.dust, 0);
+        const skipped = preview.items.length - burned.size;
+        return interaction.update({
+          content:
+            `🔥 Burned **${burned.size}** cards for **${formatDust(dust)}**! Balance: ${formatDust(result.balance)}` +
+            `\n♻️ They're in your recycle bin for ${RECYCLE_BIN_DAYS} days if you change your mind - \`/bin\` lists them.` +
+            (skipped ? `\n⚠️ ${skipped} cards were skipped - they were traded, burned or offered in a trade since the preview.` : ''),
+          embeds: [],
+          components: []
+        });
       });
     }
 
-    await interaction.deferReply();
-
-    // Build paginated embed with ownership info
-    const CARDS_PER_PAGE = 5;
-    const totalPages = Math.ceil(matchingCards.length / CARDS_PER_PAGE);
-    const pageCards = matchingCards.slice(page * CARDS_PER_PAGE, (page + 1) * CARDS_PER_PAGE);
-
-    let description = '';
-    for (const card of pageCards) {
-      // Search all loaded user inventories for this card
-      const owners = [];
-      for (const [userId, userDataObj] of Object.entries(userData)) {
-        const owned = userDataObj.inventory.filter(entry => {
-          const cardId = entry.card_id || entry.cardId;
-          return cardId === card.id;
-        });
-        if (owned.length > 0) {
-          const instanceIds = owned.map(e => e.instance_id).filter(Boolean).join(', ');
-          owners.push(`<@${userId}> (${instanceIds})`);
+    // Handle binder pagination (binder_prev_<page>_<view>, binder_next_<page>_<view>)
+    if (customId.startsWith('binder_prev_') || customId.startsWith('binder_next_')) {
+      const [, direction, page, ...encodedView] = customId.split('_');
+      const newPage = parseInt(page) + (direction === 'next' ? 1 : -1);
+      const view = decodeBinderView(encodedView.join('_'));
+
+      // Another trainer's binder: anyone can page through it, unless it was made private since
+      let owner = null;
+      let inventory = data.inventory;
+      if (view.owner && view.owner !== user.id) {
+        const ownerData = await getUserData(view.owner);
+        if (ownerData.binderPrivate) {
+          return interaction.reply({ content: '🔒 This binder has been made private.', ephemeral: true });
         }
+        owner = await client.users.fetch(view.owner).catch(() => ({ id: view.owner, username: 'Unknown trainer' }));
+        inventory = ownerData.inventory;
       }
 
-      const ownerText = owners.length > 0 ? owners.join(', ') : 'Unclaimed';
-      description += `**${card.name}** - ${card.set}\n└ Owners: ${ownerText}\n\n`;
+      // Grid pages can take a moment to draw
+      await interaction.deferUpdate();
+      return interaction.editReply(await buildBinderReply(inventory, Math.max(newPage, 0), view, owner));
     }
 
-    const embed = new EmbedBuilder()
-      .setColor('#4287f5')
-      .setTitle(`🔍 Search Results: "${searchQuery}"`)
-      .setDescription(description || 'No cards found.')
-      .setFooter({ text: `Page ${page + 1}/${totalPages} | ${matchingCards.length} cards found` });
+    // Handle search pagination
+    if (customId.startsWith('search_prev_') || customId.startsWith('search_next_')) {
+      const parts = customId.split('_');
+      const currentPage = parseInt(parts[2]);
+      const searchQuery = parts.slice(3).join('_');
+      const isNext = customId.startsWith('search_next_');
+      const newPage = isNext ? currentPage + 1 : currentPage - 1;
 
-    // Add first card image as thumbnail
-    if (pageCards.length > 0) {
-      embed.setThumbnail(pageCards[0].imageUrl);
-    }
+      // Re-run search
+      const matchingCards = cards.filter(card => 
+        card.name.toLowerCase().includes(searchQuery.toLowerCase())
+      );
+
+      const CARDS_PER_PAGE = 5;
+      const totalPages = Math.ceil(matchingCards.length / CARDS_PER_PAGE);
+      const pageCards = matchingCards.slice(newPage * CARDS_PER_PAGE, (newPage + 1) * CARDS_PER_PAGE);
+
+      let description = '';
+      for (const card of pageCards) {
+        description += `**${formatCardName(card.name)}** - ${card.set}\n└ Owners: ${formatCardOwners(card)}\n\n`;
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor('#4287f5')
+        .setTitle(`🔍 Search Results: "${searchQuery}"`)
+        .setDescription(description || 'No cards found.')
+        .setFooter({ text: `Page ${newPage + 1}/${totalPages} | ${matchingCards.length} cards found` });
+
+      if (pageCards.length > 0) {
+        embed.setThumbnail(pageCards[0].imageUrl);
+      }
 
-    // Add pagination buttons if needed
-    if (totalPages > 1) {
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId(`search_prev_${page}_${searchQuery}`)
+            .setCustomId(`search_prev_${newPage}_${searchQuery}`)
             .setLabel('⬅️ Previous')
             .setStyle(ButtonStyle.Secondary)
-            .setDisabled(true),
+            .setDisabled(newPage === 0),
           new ButtonBuilder()
-            .setCustomId(`search_next_${page}_${searchQuery}`)
+            .setCustomId(`search_next_${newPage}_${searchQuery}`)
             .setLabel('Next ➡️')
             .setStyle(ButtonStyle.Secondary)
-            .setDisabled(totalPages === 1)
+            .setDisabled(newPage >= totalPages - 1)
         );
 
-      return interaction.editReply({ embeds: [embed], components: [row] });
+      return interaction.update({ embeds: [embed], components: [row] });
     }
 
-    return interaction.editReply({ embeds: [embed] });
-  }
-
-  // -------- /view --------
-  if (commandName === 'view') {
-    const instanceId = interaction.options.getString('card');
+    // Handle pick card selection (btn_pick_<sessionId>_<index>)
+    if (customId.startsWith('btn_pick_')) {
+      const [sessionId, index] = customId.slice('btn_pick_'.length).split('_').map(Number);
 
-    // Find the card in user's inventory
-    const cardEntry = data.inventory.find(entry => {
-      const entryInstanceId = entry.instance_id || entry.instanceId;
-      return entryInstanceId === instanceId;
-    });
+      // Defer update FIRST before any async operations
+      await interaction.deferUpdate();
 
-    if (!cardEntry) {
-      return interaction.reply({
-        content: `❌ You don't have a card with ID \`${instanceId}\`. Check your inventory.`,
-        ephemeral: true
-      });
-    }
+      // Buttons from before pick sessions (btn_pick_<index>) have no session
+      const { session, card, entry, completedSets, error } = index === undefined
+        ? { error: 'no_session' }
+        : await claimPick(sessionId, user.id, index, now);
+      if (error) {
+        const reasons = {
+          no_session: '⌛ This pick has expired. Use `/pick` to start a new one.',
+          not_owner: '❌ This isn\'t your pick - use `/pick` to start your own.',
+          closed: '⌛ This pick is already closed.',
+          invalid: '❌ Invalid choice.',
+          failed: '❌ Failed to save your card. Please pick again.'
+        };
+        return interaction.followUp({ content: reasons[error], ephemeral: true });
+      }
 
-    const cardId = cardEntry.card_id || cardEntry.cardId;
-    const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
+      const cardName = formatCardName(card.name);
+      const quality = formatGrade(entry.psa_grade);
 
-    if (!card) {
-      return interaction.reply({
-        content: `❌ Card data not found for \`${instanceId}\`.`,
-        ephemeral: true
+      await interaction.editReply({ components: [buildPickButtons(session)] });
+      return interaction.followUp({
+        content: `✅ <@${user.id}> chose **${PICK_EMOJIS[index]} ${cardName}**\n**Set:** ${formatCardSet(card)} | **Rarity:** ${formatRarity(card.rarity)} | **Quality:** ${quality}` +
+          formatSetCompletions(user.id, completedSets),
+        files: [card.imageUrl]
       });
     }
-
-    await interaction.deferReply();
-
-    const cardName = formatCardName(card.name);
-    const quality = `PSA ${Math.floor(Math.random() * 10) + 1}`;
-    const obtainedDate = new Date(cardEntry.obtained_at || cardEntry.obtainedAt).toLocaleDateString();
-
-    return interaction.editReply({
-      content: 
-        `## ${cardName}\n` +
-        `**Set:** ${card.set}\n` +
-        `**Quality:** ${quality}\n` +
-        `**Owner:** \`${instanceId}\`\n` +
-        `**Obtained:** ${obtainedDate}`,
-      files: [card.imageUrl]
-    });
   }
 
-  // -------- /trade --------
-  if (commandName === 'trade') {
-    const instanceId = interaction.options.getString('card');
-    const targetUser = interaction.options.getUser('trainer');
+  // Handle trade counter-offers (trade_counter_modal_<tradeId>)
+  if (interaction.isModalSubmit() && interaction.customId.startsWith('trade_counter_modal_')) {
+    const { user } = interaction;
+    const tradeId = parseInt(interaction.customId.split('_')[3]);
+    const instanceIds = parseInstanceIds(interaction.fields.getTextInputValue('cards'));
 
-    // Check if trading with self
-    if (targetUser.id === user.id) {
+    if (instanceIds.length > MAX_TRADE_CARDS) {
       return interaction.reply({
-        content: '❌ You cannot trade with yourself!',
+        content: `❌ You can put at most ${MAX_TRADE_CARDS} cards on each side of a trade.`,
         ephemeral: true
       });
     }
 
-    // Check if bot
-    if (targetUser.bot) {
+    // Cards must be yours, unlocked and not held by another trade (this one's escrow is released by the counter)
+    const data = await getUserData(user.id);
+    const unavailable = instanceIds.filter(instanceId => {
+      const entry = data.inventory.find(item => item.instance_id === instanceId);
+      return !entry || entry.locked || (entry.escrow_trade_id && entry.escrow_trade_id !== tradeId);
+    });
+    if (unavailable.length) {
       return interaction.reply({
-        content: '❌ You cannot trade with bots!',
+        content: `❌ You can't offer ${unavailable.map(id => `\`${id}\``).join(', ')} - check your inventory, locked cards and pending trades.`,
         ephemeral: true
       });
     }
 
-    // Find the card in sender's inventory
-    const cardIndex = data.inventory.findIndex(entry => {
-      const entryInstanceId = entry.instance_id || entry.instanceId;
-      return entryInstanceId === instanceId;
-    });
+    try {
+      const trade = await withUserLock(user.id, async () => {
+        const countered = await db.counterTrade(tradeId, user.id, instanceIds, Date.now());
+        await refreshInventory(user.id);
+        return countered;
+      });
+      return interaction.update(await buildTradeMessage(trade));
+    } catch (error) {
+      if (!(error instanceof TradeError)) {
+        console.error('Error countering trade:', error);
+        return interaction.reply({ content: '❌ Failed to send the counter-offer. Please try again.', ephemeral: true });
+      }
 
-    if (cardIndex === -1) {
+      const reasons = {
+        NOT_TRADE_PARTY: '❌ Only the receiver can counter this offer.',
+        CARD_UNAVAILABLE: '❌ Some of those cards can\'t be offered right now - they may be in another trade.',
+        TRADE_EXPIRED: '⌛ This trade offer has expired.'
+      };
       return interaction.reply({
-        content: `❌ You don't have a card with ID \`${instanceId}\`. Check your inventory.`,
+        content: reasons[error.code] || '❌ This trade is no longer open.',
         ephemeral: true
       });
     }
-
-    const cardEntry = data.inventory[cardIndex];
-    const cardId = cardEntry.card_id || cardEntry.cardId;
-    const card = cardMap.get(cardId) || cards.find(c => c.id === cardId);
-    const cardName = card ? formatCardName(card.name) : 'Unknown';
-
-    // Create confirmation buttons
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId(`trade_accept_${user.id}_${targetUser.id}_${instanceId}`)
-          .setLabel('✅ Accept')
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId(`trade_decline_${user.id}_${targetUser.id}_${instanceId}`)
-          .setLabel('❌ Decline')
-          .setStyle(ButtonStyle.Danger)
-      );
-
-    return interaction.reply({
-      content: `📦 <@${user.id}> wants to trade **${cardName}** (\`${instanceId}\`) to <@${targetUser.id}>\n\n<@${targetUser.id}>, do you accept this trade?`,
-      components: [row]
-    });
   }
+}
 
-  // -------- /help --------
-  if (commandName === 'help') {
-    return interaction.reply({
-      content: 
-        '**Card Game Commands:**\n\n' +
-        '**Text Commands:**\n' +
-        '`cd` or `cd draw` - Draw a card (15 min cooldown)\n' +
-        '`cd pack` or `cd p` - Open a pack of 5 cards (10 min cooldown)\n' +
-        '`pick` or `pk` - Pick 1 from 3 cards (30 min cooldown)\n' +
-        '`cd inventory`, `cd inv`, or `cd i` - View your collection\n' +
-        '`binder`, `cd binder`, or `cd b` - View organized binder\n' +
-        '`help` or `cd help` - Show this help\n\n' +
-        '**Slash Commands:**\n' +
-        '`/draw` - Draw a card\n' +
-        '`/pack` - Open a pack\n' +
-        '`/pick` - Pick from 3 cards\n' +
-        '`/binder` - View organized binder\n' +
-        '`/menu` - Interactive button menu\n' +
-        '`/search <name>` - Search for cards by name\n' +
-        '`/view <card>` - View a specific card\n' +
-        '`/trade <card> <@trainer>` - Trade a card to another trainer\n' +
-        '`/burn <card>` - Burn a card (permanent deletion)\n' +
-        '`/clearbinder <confirm>` - Clear your entire collection (type your username)\n' +
-        '`/reset_me` - Reset your data (testing)\n\n' +
-        '**Admin Commands:**\n' +
-        '`/setchannel <channel>` - Restrict commands to a channel (Admin)\n' +
-        '`/channelinfo` - View channel restrictions\n' +
-        '`/setadmin <user> <add/remove>` - Manage bot admins (Admin)\n' +
-        '`/help` - Show this help',
-      ephemeral: true
-    });
+// Slash commands, buttons and modals. A handler that fails (an expired interaction, a storage
+// error) is logged and answered where possible, like a failed command in runCommand.
+client.on('interactionCreate', async interaction => {
+  try {
+    await handleInteraction(interaction);
+  } catch (error) {
+    console.error('Error handling interaction:', error);
+    if (!interaction.isRepliable()) return;
+    const reply = { content: '❌ Something went wrong. Please try again.', ephemeral: true };
+    await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
   }
+});
 
-  // -------- /pick --------
-  if (commandName === 'pick') {
-    const elapsed = now - data.lastPick;
-
-    if (elapsed < PICK_COOLDOWN) {
-      const remaining = PICK_COOLDOWN - elapsed;
-      return interaction.reply({
-        content: `⏳ You can pick again in **${msToNice(remaining)}**.`,
-        ephemeral: true
-      });
-    }
-
-    // Draw 3 random cards
-    const choices = [];
-    for (let i = 0; i < 3; i++) {
-      const card = randomCard();
-      if (!card) break;
-      choices.push(card);
-    }
-
-    if (choices.length < 3) {
-      return interaction.reply('❌ Not enough cards available.');
-    }
-
-    data.lastPick = now;
-    data.pickChoices = choices;
-
-    await interaction.deferReply();
-
-    // Combine the 3 images horizontally
-    const combinedImageBuffer = await combineCardImages(
-      choices[0].imageUrl,
-      choices[1].imageUrl,
-      choices[2].imageUrl
-    );
-
-    if (!combinedImageBuffer) {
-      return interaction.editReply('❌ Failed to load card images.');
+// ------------------- STARTUP -------------------
+// Only when run as the bot (`node index.js`) - the tests require this file for its game logic
+if (require.main === module) {
+  (async () => {
+    // Refuse to run against a database whose schema doesn't match this code
+    try {
+      const version = await checkSchemaVersion(db);
+      console.log(`Database schema version ${version}`);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
     }
 
-    const attachment = new AttachmentBuilder(combinedImageBuffer, { name: 'cards.png' });
-
-    // Create card info text
-    const cardInfo = choices.map((card, i) => {
-      const cardName = formatCardName(card.name);
-      return `**${['1️⃣', '2️⃣', '3️⃣'][i]} ${cardName}** - Set: ${card.set}`;
-    }).join('\n');
-
-    const embed = new EmbedBuilder()
-      .setTitle('🎴 Pick one card to keep:')
-      .setDescription(cardInfo)
-      .setImage('attachment://cards.png')
-      .setColor(0x5865F2);
-
-    // Create buttons for selection
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('btn_pick_0')
-          .setLabel('1️⃣')
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId('btn_pick_1')
-          .setLabel('2️⃣')
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId('btn_pick_2')
-          .setLabel('3️⃣')
-          .setStyle(ButtonStyle.Success)
-      );
-
-    return interaction.editReply({
-      content: content,
-      files: [attachment],
-      components: [row]
-    });
-  }
-});
+    await loadCardsFromSupabase();  // load card list first
+    await registerCommands();
+    await client.login(process.env.DISCORD_TOKEN);
+  })();
+}
 
-// ------------------- STARTUP -------------------
-(async () => {
-  await loadCardsFromSupabase();  // load card list first
-  await registerCommands();
-  await client.login(process.env.DISCORD_TOKEN);
-})();
+// For tests (see test/)
+module.exports = {
+  db,
+  cards,
+  cardMap,
+  userData,
+  getUserData,
+  withUserLock,
+  claimDraw,
+  claimPack,
+  startPick,
+  claimPick,
+  acceptTradeFor,
+  declineTrade,
+  commands
+};
@@ -0,0 +1,367 @@
+-- 001: every table the bot uses (users, inventory, trades, admins, server_config).
+-- Safe to run on a database set up from the old ad-hoc SQL files: existing tables are kept,
+-- missing columns and indexes are added and timestamp columns are converted in place.
+--
+-- All times the bot writes (cooldowns, obtained_at, trade times) are epoch milliseconds (BIGINT).
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at BIGINT NOT NULL
+);
+
+-- ------------------- USERS -------------------
+CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    last_draw BIGINT NOT NULL DEFAULT 0,
+    last_pack BIGINT NOT NULL DEFAULT 0,
+    last_pick BIGINT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ------------------- INVENTORY -------------------
+CREATE TABLE IF NOT EXISTS inventory (
+    user_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    obtained_at BIGINT NOT NULL,
+    instance_id TEXT NOT NULL,
+    psa_grade SMALLINT
+);
+
+-- Older tables stored some of these times as ISO strings or timestamps - convert them to epoch ms
+DO $$
+DECLARE
+    v_column RECORD;
+BEGIN
+    FOR v_column IN
+        SELECT table_name, column_name, data_type
+        FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND (table_name, column_name) IN (
+              ('users', 'last_draw'), ('users', 'last_pack'), ('users', 'last_pick'), ('inventory', 'obtained_at')
+          )
+          AND data_type <> 'bigint'
+    LOOP
+        EXECUTE format('ALTER TABLE %I ALTER COLUMN %I DROP DEFAULT', v_column.table_name, v_column.column_name);
+
+        IF v_column.data_type IN ('text', 'character varying') THEN
+            EXECUTE format(
+                'ALTER TABLE %1$I ALTER COLUMN %2$I TYPE BIGINT USING (CASE'
+                ' WHEN %2$I IS NULL OR %2$I = '''' THEN 0'
+                ' WHEN %2$I ~ ''^[0-9]+$'' THEN %2$I::BIGINT'
+                ' ELSE (extract(epoch FROM %2$I::TIMESTAMPTZ) * 1000)::BIGINT END)',
+                v_column.table_name, v_column.column_name
+            );
+        ELSIF v_column.data_type LIKE 'timestamp%' THEN
+            EXECUTE format(
+                'ALTER TABLE %1$I ALTER COLUMN %2$I TYPE BIGINT USING ((extract(epoch FROM %2$I) * 1000)::BIGINT)',
+                v_column.table_name, v_column.column_name
+            );
+        ELSE
+            EXECUTE format(
+                'ALTER TABLE %1$I ALTER COLUMN %2$I TYPE BIGINT USING (%2$I::BIGINT)',
+                v_column.table_name, v_column.column_name
+            );
+        END IF;
+    END LOOP;
+END;
+$$;
+
+UPDATE users SET last_draw = 0 WHERE last_draw IS NULL;
+UPDATE users SET last_pack = 0 WHERE last_pack IS NULL;
+UPDATE users SET last_pick = 0 WHERE last_pick IS NULL;
+ALTER TABLE users
+    ALTER COLUMN last_draw SET DEFAULT 0, ALTER COLUMN last_draw SET NOT NULL,
+    ALTER COLUMN last_pack SET DEFAULT 0, ALTER COLUMN last_pack SET NOT NULL,
+    ALTER COLUMN last_pick SET DEFAULT 0, ALTER COLUMN last_pick SET NOT NULL;
+
+-- Each card instance's PSA grade is rolled once when the card is obtained;
+-- backfill older cards with a one-time grade
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS psa_grade SMALLINT;
+UPDATE inventory
+SET psa_grade = floor(random() * 10 + 1)::SMALLINT
+WHERE psa_grade IS NULL;
+ALTER TABLE inventory ALTER COLUMN psa_grade SET NOT NULL;
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_psa_grade_range;
+ALTER TABLE inventory ADD CONSTRAINT inventory_psa_grade_range CHECK (psa_grade BETWEEN 1 AND 10);
+
+-- Instance IDs are unique across all users; re-key any old duplicates, keeping the oldest card's ID
+WITH duplicates AS (
+    SELECT ctid, row_number() OVER (PARTITION BY instance_id ORDER BY obtained_at) AS copy
+    FROM inventory
+)
+UPDATE inventory
+SET instance_id = 'po' || substr(md5(random()::text || inventory.ctid::text), 1, 8)
+FROM duplicates
+WHERE inventory.ctid = duplicates.ctid
+  AND duplicates.copy > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_instance_id ON inventory(instance_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user ON inventory(user_id);
+
+-- ------------------- TRADES -------------------
+-- Offered cards are held in escrow (inventory.escrow_trade_id) while the offer is pending, so they
+-- can't be burned or offered again. The sender's cards are escrowed from the moment the offer is
+-- made; the receiver's cards only once the receiver confirms (accept or counter-offer).
+-- All changes go through the functions below, which each run as a single transaction.
+CREATE TABLE IF NOT EXISTS trades (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT NOT NULL,
+    receiver_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+    channel_id TEXT,
+    message_id TEXT,
+    created_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    resolved_at BIGINT,
+    sender_confirmed BOOLEAN NOT NULL DEFAULT TRUE,
+    receiver_confirmed BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS sender_confirmed BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS receiver_confirmed BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Cards included in a trade (card_id is kept so closed trades can still be described)
+CREATE TABLE IF NOT EXISTS trade_items (
+    trade_id BIGINT NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+    instance_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    PRIMARY KEY (trade_id, instance_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trades_sender ON trades(sender_id, status);
+CREATE INDEX IF NOT EXISTS idx_trades_receiver ON trades(receiver_id, status);
+CREATE INDEX IF NOT EXISTS idx_trades_expiry ON trades(status, expires_at);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS escrow_trade_id BIGINT REFERENCES trades(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_inventory_escrow ON inventory(escrow_trade_id);
+
+-- Create a trade and put the sender's cards in escrow (all or nothing)
+CREATE OR REPLACE FUNCTION create_trade(
+    p_sender_id TEXT,
+    p_receiver_id TEXT,
+    p_sender_instance_ids TEXT[],
+    p_receiver_instance_ids TEXT[],
+    p_created_at BIGINT,
+    p_expires_at BIGINT
+) RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_trade_id BIGINT;
+    v_count INTEGER;
+BEGIN
+    INSERT INTO trades (sender_id, receiver_id, created_at, expires_at, sender_confirmed, receiver_confirmed)
+    VALUES (p_sender_id, p_receiver_id, p_created_at, p_expires_at, TRUE, FALSE)
+    RETURNING id INTO v_trade_id;
+
+    -- Sender's side goes into escrow right away
+    UPDATE inventory
+    SET escrow_trade_id = v_trade_id
+    WHERE user_id = p_sender_id
+      AND instance_id = ANY(p_sender_instance_ids)
+      AND escrow_trade_id IS NULL;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+
+    IF v_count <> cardinality(p_sender_instance_ids) THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+    SELECT v_trade_id, instance_id, card_id, user_id
+    FROM inventory
+    WHERE escrow_trade_id = v_trade_id;
+
+    -- Receiver's side is only requested for now
+    INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+    SELECT v_trade_id, instance_id, card_id, user_id
+    FROM inventory
+    WHERE user_id = p_receiver_id
+      AND instance_id = ANY(p_receiver_instance_ids);
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+
+    IF v_count <> cardinality(p_receiver_instance_ids) THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    RETURN v_trade_id;
+END;
+$$;
+
+-- Confirm the trade as the party still to respond and swap both sides
+CREATE OR REPLACE FUNCTION accept_trade(p_trade_id BIGINT, p_user_id TEXT, p_now BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_trade trades%ROWTYPE;
+    v_items INTEGER;
+    v_escrowed INTEGER;
+BEGIN
+    SELECT * INTO v_trade FROM trades WHERE id = p_trade_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TRADE_NOT_FOUND';
+    END IF;
+    IF p_user_id NOT IN (v_trade.sender_id, v_trade.receiver_id) THEN
+        RAISE EXCEPTION 'NOT_TRADE_PARTY';
+    END IF;
+    IF v_trade.status <> 'pending' THEN
+        RAISE EXCEPTION 'TRADE_CLOSED';
+    END IF;
+    IF v_trade.expires_at <= p_now THEN
+        RAISE EXCEPTION 'TRADE_EXPIRED';
+    END IF;
+    IF (p_user_id = v_trade.sender_id AND v_trade.sender_confirmed)
+        OR (p_user_id = v_trade.receiver_id AND v_trade.receiver_confirmed) THEN
+        RAISE EXCEPTION 'AWAITING_OTHER_PARTY';
+    END IF;
+
+    -- Escrow the accepting side's cards too
+    UPDATE inventory
+    SET escrow_trade_id = p_trade_id
+    WHERE user_id = p_user_id
+      AND escrow_trade_id IS NULL
+      AND instance_id IN (
+          SELECT instance_id FROM trade_items WHERE trade_id = p_trade_id AND owner_id = p_user_id
+      );
+
+    SELECT count(*) INTO v_items FROM trade_items WHERE trade_id = p_trade_id;
+
+    SELECT count(*) INTO v_escrowed
+    FROM inventory
+    JOIN trade_items
+      ON trade_items.trade_id = p_trade_id
+     AND trade_items.instance_id = inventory.instance_id
+     AND trade_items.owner_id = inventory.user_id
+    WHERE inventory.escrow_trade_id = p_trade_id;
+
+    IF v_escrowed <> v_items THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    UPDATE inventory
+    SET user_id = CASE WHEN user_id = v_trade.sender_id THEN v_trade.receiver_id ELSE v_trade.sender_id END,
+        escrow_trade_id = NULL,
+        obtained_at = p_now
+    WHERE escrow_trade_id = p_trade_id;
+
+    UPDATE trades
+    SET status = 'accepted', sender_confirmed = TRUE, receiver_confirmed = TRUE, resolved_at = p_now
+    WHERE id = p_trade_id;
+END;
+$$;
+
+-- Receiver replaces their side of the deal; the sender then has to confirm again
+CREATE OR REPLACE FUNCTION counter_trade(
+    p_trade_id BIGINT,
+    p_user_id TEXT,
+    p_instance_ids TEXT[],
+    p_now BIGINT
+) RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_trade trades%ROWTYPE;
+    v_escrowed INTEGER;
+BEGIN
+    SELECT * INTO v_trade FROM trades WHERE id = p_trade_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TRADE_NOT_FOUND';
+    END IF;
+    IF p_user_id <> v_trade.receiver_id THEN
+        RAISE EXCEPTION 'NOT_TRADE_PARTY';
+    END IF;
+    IF v_trade.status <> 'pending' THEN
+        RAISE EXCEPTION 'TRADE_CLOSED';
+    END IF;
+    IF v_trade.expires_at <= p_now THEN
+        RAISE EXCEPTION 'TRADE_EXPIRED';
+    END IF;
+
+    UPDATE inventory SET escrow_trade_id = NULL
+    WHERE escrow_trade_id = p_trade_id AND user_id = v_trade.receiver_id;
+
+    DELETE FROM trade_items WHERE trade_id = p_trade_id AND owner_id = v_trade.receiver_id;
+
+    UPDATE inventory
+    SET escrow_trade_id = p_trade_id
+    WHERE user_id = v_trade.receiver_id
+      AND instance_id = ANY(p_instance_ids)
+      AND escrow_trade_id IS NULL;
+    GET DIAGNOSTICS v_escrowed = ROW_COUNT;
+
+    IF v_escrowed <> cardinality(p_instance_ids) THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+    SELECT p_trade_id, instance_id, card_id, user_id
+    FROM inventory
+    WHERE escrow_trade_id = p_trade_id AND user_id = v_trade.receiver_id;
+
+    UPDATE trades SET sender_confirmed = FALSE, receiver_confirmed = TRUE WHERE id = p_trade_id;
+END;
+$$;
+
+-- Close a pending trade without a transfer (declined/cancelled) and release its escrow.
+-- Returns false if the trade was no longer pending.
+CREATE OR REPLACE FUNCTION close_trade(p_trade_id BIGINT, p_status TEXT, p_now BIGINT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql AS $$
+BEGIN
+    UPDATE trades
+    SET status = p_status, resolved_at = p_now
+    WHERE id = p_trade_id AND status = 'pending';
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE inventory SET escrow_trade_id = NULL WHERE escrow_trade_id = p_trade_id;
+    RETURN TRUE;
+END;
+$$;
+
+-- Expire every pending trade past its deadline, release escrow and return the expired trades
+CREATE OR REPLACE FUNCTION expire_trades(p_now BIGINT)
+RETURNS SETOF trades
+LANGUAGE plpgsql AS $$
+BEGIN
+    RETURN QUERY
+    WITH expired AS (
+        UPDATE trades
+        SET status = 'expired', resolved_at = p_now
+        WHERE status = 'pending' AND expires_at <= p_now
+        RETURNING *
+    ), released AS (
+        UPDATE inventory
+        SET escrow_trade_id = NULL
+        WHERE escrow_trade_id IN (SELECT id FROM expired)
+    )
+    SELECT * FROM expired;
+END;
+$$;
+
+-- ------------------- ADMINS -------------------
+CREATE TABLE IF NOT EXISTS admins (
+    user_id TEXT PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- To add the first admin by hand (Discord: enable Developer Mode, right-click your name, Copy ID):
+-- INSERT INTO admins (user_id) VALUES ('YOUR_USER_ID_HERE');
+
+-- ------------------- SERVER CONFIG -------------------
+CREATE TABLE IF NOT EXISTS server_config (
+    guild_id TEXT PRIMARY KEY,
+    channel_id TEXT NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (1, 'initial_schema', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- 002: per-guild text command settings - a custom prefix, bare-word aliases on/off
+-- and extra aliases. A guild can now have settings without a channel restriction.
+BEGIN;
+
+ALTER TABLE server_config ALTER COLUMN channel_id DROP NOT NULL;
+ALTER TABLE server_config ADD COLUMN IF NOT EXISTS prefix TEXT;
+ALTER TABLE server_config ADD COLUMN IF NOT EXISTS bare_words BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS server_aliases (
+    guild_id TEXT NOT NULL,
+    alias TEXT NOT NULL,
+    command TEXT NOT NULL,
+    PRIMARY KEY (guild_id, alias)
+);
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (2, 'text_command_settings', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
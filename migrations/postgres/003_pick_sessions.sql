@@ -0,0 +1,25 @@
+-- 003: /pick sessions, so the offered choices survive a restart and each pick message
+-- can only be answered by its owner until it expires.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS pick_sessions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    card_ids TEXT[] NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'picked', 'expired')),
+    picked_card_id TEXT,
+    channel_id TEXT,
+    message_id TEXT,
+    created_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    resolved_at BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS idx_pick_sessions_expiry ON pick_sessions(status, expires_at);
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (3, 'pick_sessions', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
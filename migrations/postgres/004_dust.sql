@@ -0,0 +1,91 @@
+-- 004: dust currency. users.dust is the balance; every change is recorded in dust_ledger
+-- along with the balance it left behind.
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dust BIGINT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS dust_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    amount BIGINT NOT NULL,
+    balance BIGINT NOT NULL,
+    reason TEXT NOT NULL,
+    ref TEXT,
+    created_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_dust_ledger_user ON dust_ledger(user_id, id DESC);
+
+-- Add (or with a negative amount, spend) dust and record it in the ledger.
+-- Returns the new balance, or NULL if the balance would go below zero.
+CREATE OR REPLACE FUNCTION add_dust(p_user_id TEXT, p_amount BIGINT, p_reason TEXT, p_ref TEXT, p_now BIGINT)
+RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_balance BIGINT;
+BEGIN
+    INSERT INTO users (user_id) VALUES (p_user_id) ON CONFLICT (user_id) DO NOTHING;
+
+    UPDATE users
+    SET dust = dust + p_amount
+    WHERE user_id = p_user_id AND dust + p_amount >= 0
+    RETURNING dust INTO v_balance;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO dust_ledger (user_id, amount, balance, reason, ref, created_at)
+    VALUES (p_user_id, p_amount, v_balance, p_reason, p_ref, p_now);
+    RETURN v_balance;
+END;
+$$;
+
+-- Delete a card (never one held in escrow) and pay out its dust.
+-- Returns the new balance, or NULL if the card couldn't be burned.
+CREATE OR REPLACE FUNCTION burn_card(p_user_id TEXT, p_instance_id TEXT, p_dust BIGINT, p_now BIGINT)
+RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+BEGIN
+    DELETE FROM inventory
+    WHERE user_id = p_user_id AND instance_id = p_instance_id AND escrow_trade_id IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN add_dust(p_user_id, p_dust, 'burn', p_instance_id, p_now);
+END;
+$$;
+
+-- Spend dust on a new card. Returns the new balance, or NULL if there isn't enough dust
+-- (nothing is added then).
+CREATE OR REPLACE FUNCTION craft_card(
+    p_user_id TEXT,
+    p_card_id TEXT,
+    p_instance_id TEXT,
+    p_psa_grade SMALLINT,
+    p_cost BIGINT,
+    p_now BIGINT
+)
+RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_balance BIGINT;
+BEGIN
+    v_balance := add_dust(p_user_id, -p_cost, 'craft', p_instance_id, p_now);
+    IF v_balance IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO inventory (user_id, card_id, obtained_at, instance_id, psa_grade)
+    VALUES (p_user_id, p_card_id, p_now, p_instance_id, p_psa_grade);
+    RETURN v_balance;
+END;
+$$;
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (4, 'dust', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- 005: burn several cards at once (/burnextras). Cards held in escrow are skipped; the dust for
+-- the cards that were burned is paid out as one ledger entry.
+BEGIN;
+
+-- p_dust[i] is what burning p_instance_ids[i] pays.
+-- Returns { "burned": [instance IDs actually deleted], "balance": new balance }.
+CREATE OR REPLACE FUNCTION burn_cards(p_user_id TEXT, p_instance_ids TEXT[], p_dust BIGINT[], p_now BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_burned TEXT[];
+    v_total BIGINT;
+    v_balance BIGINT;
+BEGIN
+    WITH items AS (
+        SELECT * FROM unnest(p_instance_ids, p_dust) AS item(instance_id, dust)
+    ), deleted AS (
+        DELETE FROM inventory inv
+        USING items
+        WHERE inv.user_id = p_user_id
+          AND inv.instance_id = items.instance_id
+          AND inv.escrow_trade_id IS NULL
+        RETURNING inv.instance_id, items.dust
+    )
+    SELECT COALESCE(array_agg(deleted.instance_id), '{}'), COALESCE(SUM(deleted.dust), 0)
+    INTO v_burned, v_total
+    FROM deleted;
+
+    IF cardinality(v_burned) > 0 THEN
+        v_balance := add_dust(p_user_id, v_total, 'bulk_burn', cardinality(v_burned) || ' cards', p_now);
+    ELSE
+        SELECT COALESCE(dust, 0) INTO v_balance FROM users WHERE user_id = p_user_id;
+    END IF;
+
+    RETURN jsonb_build_object('burned', to_jsonb(v_burned), 'balance', COALESCE(v_balance, 0));
+END;
+$$;
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (5, 'bulk_burn', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,235 @@
+-- 006: locked cards. A locked card can't be burned, traded (offered or requested) or cleared
+-- until it's unlocked again.
+BEGIN;
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS locked BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- The functions below are the 001/004/005 versions with locked cards left out
+
+-- Delete a card (never one held in escrow or locked) and pay out its dust.
+-- Returns the new balance, or NULL if the card couldn't be burned.
+CREATE OR REPLACE FUNCTION burn_card(p_user_id TEXT, p_instance_id TEXT, p_dust BIGINT, p_now BIGINT)
+RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+BEGIN
+    DELETE FROM inventory
+    WHERE user_id = p_user_id AND instance_id = p_instance_id AND escrow_trade_id IS NULL AND NOT locked;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN add_dust(p_user_id, p_dust, 'burn', p_instance_id, p_now);
+END;
+$$;
+
+-- p_dust[i] is what burning p_instance_ids[i] pays.
+-- Returns { "burned": [instance IDs actually deleted], "balance": new balance }.
+CREATE OR REPLACE FUNCTION burn_cards(p_user_id TEXT, p_instance_ids TEXT[], p_dust BIGINT[], p_now BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_burned TEXT[];
+    v_total BIGINT;
+    v_balance BIGINT;
+BEGIN
+    WITH items AS (
+        SELECT * FROM unnest(p_instance_ids, p_dust) AS item(instance_id, dust)
+    ), deleted AS (
+        DELETE FROM inventory inv
+        USING items
+        WHERE inv.user_id = p_user_id
+          AND inv.instance_id = items.instance_id
+          AND inv.escrow_trade_id IS NULL
+          AND NOT inv.locked
+        RETURNING inv.instance_id, items.dust
+    )
+    SELECT COALESCE(array_agg(deleted.instance_id), '{}'), COALESCE(SUM(deleted.dust), 0)
+    INTO v_burned, v_total
+    FROM deleted;
+
+    IF cardinality(v_burned) > 0 THEN
+        v_balance := add_dust(p_user_id, v_total, 'bulk_burn', cardinality(v_burned) || ' cards', p_now);
+    ELSE
+        SELECT COALESCE(dust, 0) INTO v_balance FROM users WHERE user_id = p_user_id;
+    END IF;
+
+    RETURN jsonb_build_object('burned', to_jsonb(v_burned), 'balance', COALESCE(v_balance, 0));
+END;
+$$;
+
+-- Create a trade and put the sender's cards in escrow (all or nothing)
+CREATE OR REPLACE FUNCTION create_trade(
+    p_sender_id TEXT,
+    p_receiver_id TEXT,
+    p_sender_instance_ids TEXT[],
+    p_receiver_instance_ids TEXT[],
+    p_created_at BIGINT,
+    p_expires_at BIGINT
+) RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_trade_id BIGINT;
+    v_count INTEGER;
+BEGIN
+    INSERT INTO trades (sender_id, receiver_id, created_at, expires_at, sender_confirmed, receiver_confirmed)
+    VALUES (p_sender_id, p_receiver_id, p_created_at, p_expires_at, TRUE, FALSE)
+    RETURNING id INTO v_trade_id;
+
+    -- Sender's side goes into escrow right away
+    UPDATE inventory
+    SET escrow_trade_id = v_trade_id
+    WHERE user_id = p_sender_id
+      AND instance_id = ANY(p_sender_instance_ids)
+      AND escrow_trade_id IS NULL
+      AND NOT locked;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+
+    IF v_count <> cardinality(p_sender_instance_ids) THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+    SELECT v_trade_id, instance_id, card_id, user_id
+    FROM inventory
+    WHERE escrow_trade_id = v_trade_id;
+
+    -- Receiver's side is only requested for now
+    INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+    SELECT v_trade_id, instance_id, card_id, user_id
+    FROM inventory
+    WHERE user_id = p_receiver_id
+      AND instance_id = ANY(p_receiver_instance_ids)
+      AND NOT locked;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+
+    IF v_count <> cardinality(p_receiver_instance_ids) THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    RETURN v_trade_id;
+END;
+$$;
+
+-- Confirm the trade as the party still to respond and swap both sides
+CREATE OR REPLACE FUNCTION accept_trade(p_trade_id BIGINT, p_user_id TEXT, p_now BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_trade trades%ROWTYPE;
+    v_items INTEGER;
+    v_escrowed INTEGER;
+BEGIN
+    SELECT * INTO v_trade FROM trades WHERE id = p_trade_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TRADE_NOT_FOUND';
+    END IF;
+    IF p_user_id NOT IN (v_trade.sender_id, v_trade.receiver_id) THEN
+        RAISE EXCEPTION 'NOT_TRADE_PARTY';
+    END IF;
+    IF v_trade.status <> 'pending' THEN
+        RAISE EXCEPTION 'TRADE_CLOSED';
+    END IF;
+    IF v_trade.expires_at <= p_now THEN
+        RAISE EXCEPTION 'TRADE_EXPIRED';
+    END IF;
+    IF (p_user_id = v_trade.sender_id AND v_trade.sender_confirmed)
+        OR (p_user_id = v_trade.receiver_id AND v_trade.receiver_confirmed) THEN
+        RAISE EXCEPTION 'AWAITING_OTHER_PARTY';
+    END IF;
+
+    -- Escrow the accepting side's cards too
+    UPDATE inventory
+    SET escrow_trade_id = p_trade_id
+    WHERE user_id = p_user_id
+      AND escrow_trade_id IS NULL
+      AND NOT locked
+      AND instance_id IN (
+          SELECT instance_id FROM trade_items WHERE trade_id = p_trade_id AND owner_id = p_user_id
+      );
+
+    SELECT count(*) INTO v_items FROM trade_items WHERE trade_id = p_trade_id;
+
+    SELECT count(*) INTO v_escrowed
+    FROM inventory
+    JOIN trade_items
+      ON trade_items.trade_id = p_trade_id
+     AND trade_items.instance_id = inventory.instance_id
+     AND trade_items.owner_id = inventory.user_id
+    WHERE inventory.escrow_trade_id = p_trade_id;
+
+    IF v_escrowed <> v_items THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    UPDATE inventory
+    SET user_id = CASE WHEN user_id = v_trade.sender_id THEN v_trade.receiver_id ELSE v_trade.sender_id END,
+        escrow_trade_id = NULL,
+        obtained_at = p_now
+    WHERE escrow_trade_id = p_trade_id;
+
+    UPDATE trades
+    SET status = 'accepted', sender_confirmed = TRUE, receiver_confirmed = TRUE, resolved_at = p_now
+    WHERE id = p_trade_id;
+END;
+$$;
+
+-- Receiver replaces their side of the deal; the sender then has to confirm again
+CREATE OR REPLACE FUNCTION counter_trade(
+    p_trade_id BIGINT,
+    p_user_id TEXT,
+    p_instance_ids TEXT[],
+    p_now BIGINT
+) RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_trade trades%ROWTYPE;
+    v_escrowed INTEGER;
+BEGIN
+    SELECT * INTO v_trade FROM trades WHERE id = p_trade_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TRADE_NOT_FOUND';
+    END IF;
+    IF p_user_id <> v_trade.receiver_id THEN
+        RAISE EXCEPTION 'NOT_TRADE_PARTY';
+    END IF;
+    IF v_trade.status <> 'pending' THEN
+        RAISE EXCEPTION 'TRADE_CLOSED';
+    END IF;
+    IF v_trade.expires_at <= p_now THEN
+        RAISE EXCEPTION 'TRADE_EXPIRED';
+    END IF;
+
+    UPDATE inventory SET escrow_trade_id = NULL
+    WHERE escrow_trade_id = p_trade_id AND user_id = v_trade.receiver_id;
+
+    DELETE FROM trade_items WHERE trade_id = p_trade_id AND owner_id = v_trade.receiver_id;
+
+    UPDATE inventory
+    SET escrow_trade_id = p_trade_id
+    WHERE user_id = v_trade.receiver_id
+      AND instance_id = ANY(p_instance_ids)
+      AND escrow_trade_id IS NULL
+      AND NOT locked;
+    GET DIAGNOSTICS v_escrowed = ROW_COUNT;
+
+    IF v_escrowed <> cardinality(p_instance_ids) THEN
+        RAISE EXCEPTION 'CARD_UNAVAILABLE';
+    END IF;
+
+    INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+    SELECT p_trade_id, instance_id, card_id, user_id
+    FROM inventory
+    WHERE escrow_trade_id = p_trade_id AND user_id = v_trade.receiver_id;
+
+    UPDATE trades SET sender_confirmed = FALSE, receiver_confirmed = TRUE WHERE id = p_trade_id;
+END;
+$$;
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (6, 'card_locks', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,141 @@
+-- 007: recycle bin. Burned and cleared cards are moved here instead of being deleted, can be
+-- restored by their owner, and are purged for good by the bot once they've been in the bin for
+-- RECYCLE_BIN_DAYS. `dust` is what the card paid out when burned; restoring it takes that back.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS recycle_bin (
+    instance_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    obtained_at BIGINT NOT NULL,
+    psa_grade SMALLINT,
+    reason TEXT NOT NULL CHECK (reason IN ('burn', 'clear')),
+    dust BIGINT NOT NULL DEFAULT 0,
+    removed_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recycle_bin_user ON recycle_bin(user_id, removed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_recycle_bin_removed ON recycle_bin(removed_at);
+
+-- Move a card (never one held in escrow or locked) to the recycle bin and pay out its dust.
+-- Returns the new balance, or NULL if the card couldn't be burned.
+CREATE OR REPLACE FUNCTION burn_card(p_user_id TEXT, p_instance_id TEXT, p_dust BIGINT, p_now BIGINT)
+RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+BEGIN
+    WITH deleted AS (
+        DELETE FROM inventory
+        WHERE user_id = p_user_id AND instance_id = p_instance_id AND escrow_trade_id IS NULL AND NOT locked
+        RETURNING *
+    )
+    INSERT INTO recycle_bin (instance_id, user_id, card_id, obtained_at, psa_grade, reason, dust, removed_at)
+    SELECT instance_id, user_id, card_id, obtained_at, psa_grade, 'burn', p_dust, p_now FROM deleted;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN add_dust(p_user_id, p_dust, 'burn', p_instance_id, p_now);
+END;
+$$;
+
+-- p_dust[i] is what burning p_instance_ids[i] pays.
+-- Returns { "burned": [instance IDs actually deleted], "balance": new balance }.
+CREATE OR REPLACE FUNCTION burn_cards(p_user_id TEXT, p_instance_ids TEXT[], p_dust BIGINT[], p_now BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_burned TEXT[];
+    v_total BIGINT;
+    v_balance BIGINT;
+BEGIN
+    WITH items AS (
+        SELECT * FROM unnest(p_instance_ids, p_dust) AS item(instance_id, dust)
+    ), deleted AS (
+        DELETE FROM inventory inv
+        USING items
+        WHERE inv.user_id = p_user_id
+          AND inv.instance_id = items.instance_id
+          AND inv.escrow_trade_id IS NULL
+          AND NOT inv.locked
+        RETURNING inv.*, items.dust
+    ), binned AS (
+        INSERT INTO recycle_bin (instance_id, user_id, card_id, obtained_at, psa_grade, reason, dust, removed_at)
+        SELECT instance_id, user_id, card_id, obtained_at, psa_grade, 'burn', dust, p_now FROM deleted
+        RETURNING instance_id, dust
+    )
+    SELECT COALESCE(array_agg(binned.instance_id), '{}'), COALESCE(SUM(binned.dust), 0)
+    INTO v_burned, v_total
+    FROM binned;
+
+    IF cardinality(v_burned) > 0 THEN
+        v_balance := add_dust(p_user_id, v_total, 'bulk_burn', cardinality(v_burned) || ' cards', p_now);
+    ELSE
+        SELECT COALESCE(dust, 0) INTO v_balance FROM users WHERE user_id = p_user_id;
+    END IF;
+
+    RETURN jsonb_build_object('burned', to_jsonb(v_burned), 'balance', COALESCE(v_balance, 0));
+END;
+$$;
+
+-- Move every card that isn't locked or held in escrow to the recycle bin.
+-- Returns how many were moved.
+CREATE OR REPLACE FUNCTION clear_inventory(p_user_id TEXT, p_now BIGINT)
+RETURNS INTEGER
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH deleted AS (
+        DELETE FROM inventory
+        WHERE user_id = p_user_id AND escrow_trade_id IS NULL AND NOT locked
+        RETURNING *
+    )
+    INSERT INTO recycle_bin (instance_id, user_id, card_id, obtained_at, psa_grade, reason, dust, removed_at)
+    SELECT instance_id, user_id, card_id, obtained_at, psa_grade, 'clear', 0, p_now FROM deleted;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+-- Move a card back from the recycle bin, taking back the dust it paid out.
+-- Returns NULL if it isn't in the user's bin, otherwise ('restored', 'dust', 'balance') -
+-- restored is false (and nothing changes) when the balance is too low to pay the dust back.
+CREATE OR REPLACE FUNCTION restore_card(p_user_id TEXT, p_instance_id TEXT, p_now BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_card recycle_bin%ROWTYPE;
+    v_balance BIGINT;
+BEGIN
+    SELECT * INTO v_card FROM recycle_bin
+    WHERE user_id = p_user_id AND instance_id = p_instance_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_card.dust > 0 THEN
+        v_balance := add_dust(p_user_id, -v_card.dust, 'restore', p_instance_id, p_now);
+        IF v_balance IS NULL THEN
+            SELECT dust INTO v_balance FROM users WHERE user_id = p_user_id;
+            RETURN jsonb_build_object('restored', FALSE, 'dust', v_card.dust, 'balance', v_balance);
+        END IF;
+    ELSE
+        SELECT COALESCE(dust, 0) INTO v_balance FROM users WHERE user_id = p_user_id;
+    END IF;
+
+    DELETE FROM recycle_bin WHERE instance_id = p_instance_id;
+    INSERT INTO inventory (user_id, card_id, obtained_at, instance_id, psa_grade)
+    VALUES (v_card.user_id, v_card.card_id, v_card.obtained_at, v_card.instance_id, v_card.psa_grade);
+
+    RETURN jsonb_build_object('restored', TRUE, 'dust', v_card.dust, 'balance', COALESCE(v_balance, 0));
+END;
+$$;
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (7, 'recycle_bin', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
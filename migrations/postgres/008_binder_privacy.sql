@@ -0,0 +1,10 @@
+-- 008: private binders. Other trainers can't browse a private binder or view its cards.
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS binder_private BOOLEAN NOT NULL DEFAULT FALSE;
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (8, 'binder_privacy', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- 009: set completion rewards. A row is written the first time a user owns every card of a set,
+-- so the reward (dust plus a badge shown by /progress) is only ever paid once per set.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS set_completions (
+    user_id TEXT NOT NULL,
+    set_name TEXT NOT NULL,
+    dust BIGINT NOT NULL DEFAULT 0,
+    completed_at BIGINT NOT NULL,
+    PRIMARY KEY (user_id, set_name)
+);
+
+-- Record a completed set and pay out its reward.
+-- Returns the new balance, or NULL if the set was already completed.
+CREATE OR REPLACE FUNCTION complete_set(p_user_id TEXT, p_set_name TEXT, p_dust BIGINT, p_now BIGINT)
+RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+BEGIN
+    INSERT INTO set_completions (user_id, set_name, dust, completed_at)
+    VALUES (p_user_id, p_set_name, p_dust, p_now)
+    ON CONFLICT (user_id, set_name) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN add_dust(p_user_id, p_dust, 'set_complete', p_set_name, p_now);
+END;
+$$;
+
+INSERT INTO schema_migrations (version, name, applied_at)
+VALUES (9, 'set_completions', (extract(epoch FROM now()) * 1000)::BIGINT)
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,61 @@
+-- 001: every table the bot uses (users, inventory, trades, admins, server_config).
+-- All times the bot writes (cooldowns, obtained_at, trade times) are epoch milliseconds.
+
+CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    last_draw INTEGER NOT NULL DEFAULT 0,
+    last_pack INTEGER NOT NULL DEFAULT 0,
+    last_pick INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS inventory (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    obtained_at INTEGER NOT NULL,
+    instance_id TEXT NOT NULL UNIQUE,
+    psa_grade INTEGER NOT NULL CHECK (psa_grade BETWEEN 1 AND 10),
+    escrow_trade_id INTEGER REFERENCES trades(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_user ON inventory(user_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_escrow ON inventory(escrow_trade_id);
+
+CREATE TABLE IF NOT EXISTS trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sender_id TEXT NOT NULL,
+    receiver_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+    channel_id TEXT,
+    message_id TEXT,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    resolved_at INTEGER,
+    sender_confirmed INTEGER NOT NULL DEFAULT 1,
+    receiver_confirmed INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS trade_items (
+    trade_id INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+    instance_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    PRIMARY KEY (trade_id, instance_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trades_sender ON trades(sender_id, status);
+CREATE INDEX IF NOT EXISTS idx_trades_receiver ON trades(receiver_id, status);
+CREATE INDEX IF NOT EXISTS idx_trades_expiry ON trades(status, expires_at);
+
+CREATE TABLE IF NOT EXISTS admins (
+    user_id TEXT PRIMARY KEY,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS server_config (
+    guild_id TEXT PRIMARY KEY,
+    channel_id TEXT NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,24 @@
+-- 002: per-guild text command settings - a custom prefix, bare-word aliases on/off
+-- and extra aliases. A guild can now have settings without a channel restriction,
+-- so server_config is rebuilt with a nullable channel_id.
+
+CREATE TABLE server_config_new (
+    guild_id TEXT PRIMARY KEY,
+    channel_id TEXT,
+    prefix TEXT,
+    bare_words INTEGER NOT NULL DEFAULT 1,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO server_config_new (guild_id, channel_id, updated_at)
+SELECT guild_id, channel_id, updated_at FROM server_config;
+
+DROP TABLE server_config;
+ALTER TABLE server_config_new RENAME TO server_config;
+
+CREATE TABLE IF NOT EXISTS server_aliases (
+    guild_id TEXT NOT NULL,
+    alias TEXT NOT NULL,
+    command TEXT NOT NULL,
+    PRIMARY KEY (guild_id, alias)
+);
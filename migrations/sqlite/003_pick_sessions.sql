@@ -0,0 +1,18 @@
+-- 003: /pick sessions, so the offered choices survive a restart and each pick message
+-- can only be answered by its owner until it expires. card_ids is a JSON array.
+
+CREATE TABLE IF NOT EXISTS pick_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    card_ids TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'picked', 'expired')),
+    picked_card_id TEXT,
+    channel_id TEXT,
+    message_id TEXT,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    resolved_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_pick_sessions_expiry ON pick_sessions(status, expires_at);
@@ -0,0 +1,16 @@
+-- 004: dust currency. users.dust is the balance; every change is recorded in dust_ledger
+-- along with the balance it left behind.
+
+ALTER TABLE users ADD COLUMN dust INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS dust_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    balance INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    ref TEXT,
+    created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_dust_ledger_user ON dust_ledger(user_id, id DESC);
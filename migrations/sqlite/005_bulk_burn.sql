@@ -0,0 +1,3 @@
+-- 005: burn several cards at once (/burnextras). No schema changes for SQLite - the bulk burn
+-- runs as a single transaction in storage/sqlite.js. Kept so both backends share version numbers.
+SELECT 1;
@@ -0,0 +1,4 @@
+-- 006: locked cards. A locked card can't be burned, traded (offered or requested) or cleared
+-- until it's unlocked again.
+
+ALTER TABLE inventory ADD COLUMN locked INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,17 @@
+-- 007: recycle bin. Burned and cleared cards are moved here instead of being deleted, can be
+-- restored by their owner, and are purged for good by the bot once they've been in the bin for
+-- RECYCLE_BIN_DAYS. `dust` is what the card paid out when burned; restoring it takes that back.
+
+CREATE TABLE IF NOT EXISTS recycle_bin (
+    instance_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    obtained_at INTEGER NOT NULL,
+    psa_grade INTEGER,
+    reason TEXT NOT NULL CHECK (reason IN ('burn', 'clear')),
+    dust INTEGER NOT NULL DEFAULT 0,
+    removed_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recycle_bin_user ON recycle_bin(user_id, removed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_recycle_bin_removed ON recycle_bin(removed_at);
@@ -0,0 +1,3 @@
+-- 008: private binders. Other trainers can't browse a private binder or view its cards.
+
+ALTER TABLE users ADD COLUMN binder_private INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,10 @@
+-- 009: set completion rewards. A row is written the first time a user owns every card of a set,
+-- so the reward (dust plus a badge shown by /progress) is only ever paid once per set.
+
+CREATE TABLE IF NOT EXISTS set_completions (
+    user_id TEXT NOT NULL,
+    set_name TEXT NOT NULL,
+    dust INTEGER NOT NULL DEFAULT 0,
+    completed_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, set_name)
+);
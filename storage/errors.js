@@ -0,0 +1,27 @@
+// storage/errors.js
+
+// Thrown by trade operations that can't go ahead. The whole operation is rolled back.
+//   CARD_UNAVAILABLE - a card is gone, not owned by that user, locked, or already in another trade
+//   TRADE_NOT_FOUND  - no trade with that ID
+//   NOT_TRADE_PARTY  - the user isn't allowed to act on this trade
+//   TRADE_CLOSED     - the trade is no longer pending
+//   TRADE_EXPIRED    - the trade is past its expiry time
+//   AWAITING_OTHER_PARTY - this user already confirmed; it's the other trainer's turn
+const TRADE_ERROR_CODES = [
+  'CARD_UNAVAILABLE',
+  'TRADE_NOT_FOUND',
+  'NOT_TRADE_PARTY',
+  'TRADE_CLOSED',
+  'TRADE_EXPIRED',
+  'AWAITING_OTHER_PARTY'
+];
+
+class TradeError extends Error {
+  constructor(code) {
+    super(code);
+    this.name = 'TradeError';
+    this.code = code;
+  }
+}
+
+module.exports = { TradeError, TRADE_ERROR_CODES };
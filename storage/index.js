@@ -0,0 +1,101 @@
+// storage/index.js
+// Storage repository: every database read/write the bot makes goes through this interface,
+// so the backend can be swapped without touching command code.
+//
+// STORAGE_BACKEND=supabase (default) - Supabase/Postgres, needs SUPABASE_URL + SUPABASE_SERVICE_KEY
+// STORAGE_BACKEND=sqlite            - local SQLite file at SQLITE_PATH (default pomogg.sqlite),
+//                                     or SQLITE_PATH=:memory: for a throwaway in-memory database
+//
+// All methods are async and throw on failure (trade methods throw TradeError, see ./errors).
+// Rows use the database column names (user_id, card_id, obtained_at, instance_id, psa_grade, ...).
+// The schema itself lives in migrations/ (see ./migrations).
+//
+//   getSchemaVersion()                      -> highest applied migration version (0 if none)
+//   getUser(userId)                         -> user row or null
+//   createUser(userId)                      (does nothing if the user already exists)
+//   saveCooldowns(userId, { lastDraw, lastPack, lastPick })
+//   setBinderPrivate(userId, binderPrivate) (other trainers can't browse a private binder)
+//   getInventory(userId)                    -> inventory rows, oldest first
+//   addInventoryItems(rows)                 all or nothing
+//   findInventoryItem(instanceId)           -> inventory row (any user) or null
+//   findExistingInstanceIds(instanceIds)    -> the subset already in use (including the recycle bin)
+//   countInventory()                        -> total card instances
+//   deleteInventoryItem(userId, instanceId) -> true if deleted (locked cards and cards in escrow are never deleted)
+//   burnInventoryItem(userId, instanceId, dust, now)
+//                                           -> new dust balance, or null if the card couldn't be burned;
+//                                              moves the card to the recycle bin and pays out in one transaction
+//   burnInventoryItems(userId, [{ instanceId, dust }], now)
+//                                           -> { burned: instance IDs binned, balance }; skips cards that
+//                                              can't be burned, pays the rest out as one ledger entry
+//   craftInventoryItem(row, cost, now)      -> new dust balance, or null (nothing added) if it's too low
+//   setInventoryLocked(userId, instanceId, locked)
+//                                           -> true if updated (cards in escrow can't be locked)
+//   clearInventory(userId, now)             -> cards moved to the recycle bin (keeps locked cards and
+//                                              cards held in escrow by a pending trade)
+//   listRecycleBin(userId)                  -> recycle_bin rows ({ instance_id, card_id, psa_grade, reason,
+//                                              dust, removed_at, ... }), most recently removed first
+//   restoreInventoryItem(userId, instanceId, now)
+//                                           -> null if it isn't in the user's bin, else { restored, dust, balance };
+//                                              takes back the dust it paid out (restored false if too little)
+//   purgeRecycleBin(before)                 -> rows removed for good (removed_at <= before)
+//   createTrade({ senderId, receiverId, senderInstanceIds, receiverInstanceIds, createdAt, expiresAt })
+//                                           -> trade; escrows the sender's cards, all or nothing
+//   getTrade(tradeId)                       -> trade with `items` ({ instance_id, card_id, owner_id }) or null
+//   listPendingTrades(userId)               -> pending trades (with `items`) the user sent or received, newest first
+//   setTradeMessage(tradeId, channelId, messageId)
+//   acceptTrade(tradeId, userId, now)       -> trade; confirms for the party still to respond and swaps
+//                                              both sides in one transaction
+//   counterTrade(tradeId, userId, instanceIds, now)
+//                                           -> trade; receiver replaces (and escrows) their side,
+//                                              the sender must confirm again
+//   closeTrade(tradeId, status, now)        -> trade, or null if it was no longer pending; releases escrow
+//   expireTrades(now)                       -> trades that just expired; releases their escrow
+//   getBalance(userId)                      -> dust balance
+//   addDust(userId, amount, reason, ref, now)
+//                                           -> new balance, or null if it would go below zero;
+//                                              every change is recorded in the dust ledger
+//   listDustLedger(userId, limit)           -> ledger rows ({ amount, balance, reason, ref, created_at }), newest first
+//   listSetCompletions(userId)              -> set_completions rows ({ set_name, dust, completed_at }), oldest first
+//   completeSet(userId, setName, dust, now) -> new dust balance, or null if the set was already completed;
+//                                              records the set and pays its reward once
+//   listAdmins()                            -> user IDs
+//   addAdmin(userId) / removeAdmin(userId)
+//   listServerConfigs()                     -> server_config rows (channel_id, prefix, bare_words)
+//   setServerChannel(guildId, channelId)
+//   setServerTextSettings(guildId, { prefix, bareWords })
+//                                           prefix null = default
+//   listServerAliases()                     -> server_aliases rows ({ guild_id, alias, command })
+//   setServerAlias(guildId, alias, command) (replaces an existing alias)
+//   removeServerAlias(guildId, alias)       -> true if it existed
+//   createPickSession({ userId, cardIds, createdAt, expiresAt })
+//                                           -> pick session ({ id, user_id, card_ids, status, ... })
+//   getPickSession(sessionId)               -> pick session or null
+//   setPickSessionMessage(sessionId, channelId, messageId)
+//   closePickSession(sessionId, status, pickedCardId, now)
+//                                           -> true if it was still open ('picked' or 'expired')
+//   reopenPickSession(sessionId)            (undo a close when the card couldn't be saved)
+//   listExpiredPickSessions(now)            -> open sessions past their expiry
+
+const { createSupabaseStorage } = require('./supabase');
+const { createSqliteStorage } = require('./sqlite');
+const { TradeError } = require('./errors');
+const { SCHEMA_VERSION, checkSchemaVersion } = require('./migrations');
+
+function createStorage({ supabase } = {}) {
+  const backend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+  if (backend === 'sqlite') {
+    return createSqliteStorage(process.env.SQLITE_PATH || 'pomogg.sqlite');
+  }
+
+  if (backend === 'supabase') {
+    if (!supabase) {
+      throw new Error('STORAGE_BACKEND=supabase needs SUPABASE_URL and SUPABASE_SERVICE_KEY');
+    }
+    return createSupabaseStorage(supabase);
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "supabase" or "sqlite")`);
+}
+
+module.exports = { createStorage, checkSchemaVersion, SCHEMA_VERSION, TradeError };
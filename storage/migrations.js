@@ -0,0 +1,49 @@
+// storage/migrations.js
+// Versioned schema migrations: migrations/<backend>/NNN_name.sql, applied in order and recorded
+// in the schema_migrations table.
+//
+// Postgres (Supabase): run each new file from migrations/postgres in the SQL editor, in order.
+// SQLite: pending files from migrations/sqlite are applied automatically when the database opens.
+//
+// Adding a migration: add the next NNN_name.sql for BOTH backends and bump SCHEMA_VERSION.
+// The bot refuses to start unless the database is at exactly SCHEMA_VERSION.
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 9;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Storage backend name -> migrations/<dir>
+const MIGRATION_DIRS = {
+  supabase: 'postgres',
+  sqlite: 'sqlite'
+};
+
+// [{ version, name, sql }] for a storage backend, oldest first
+function loadMigrations(backend) {
+  const dir = path.join(MIGRATIONS_DIR, MIGRATION_DIRS[backend]);
+  return fs.readdirSync(dir)
+    .map(fileName => fileName.match(/^(\d+)_(.+)\.sql$/))
+    .filter(Boolean)
+    .map(([fileName, version, name]) => ({
+      version: Number(version),
+      name,
+      sql: fs.readFileSync(path.join(dir, fileName), 'utf8')
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Throw if the database isn't at the schema version this code was written for
+async function checkSchemaVersion(db) {
+  const version = await db.getSchemaVersion();
+  if (version === SCHEMA_VERSION) return version;
+
+  const hint = version < SCHEMA_VERSION
+    ? `apply the migrations in migrations/${MIGRATION_DIRS[db.name]} after ${String(version).padStart(3, '0')}`
+    : 'the database was migrated by a newer version of the bot - update the code';
+  throw new Error(`Database schema is at version ${version}, but this bot needs version ${SCHEMA_VERSION}: ${hint}`);
+}
+
+module.exports = { SCHEMA_VERSION, loadMigrations, checkSchemaVersion };
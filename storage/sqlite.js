@@ -0,0 +1,580 @@
+// storage/sqlite.js
+// Local SQLite backend for the storage interface described in storage/index.js.
+// Use a file path for offline development or ':memory:' for throwaway/integration test runs.
+
+const { TradeError } = require('./errors');
+const { loadMigrations } = require('./migrations');
+
+// Apply every migration newer than the database's current version, each in its own transaction
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+    )
+  `);
+
+  const current = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of loadMigrations('sqlite')) {
+    if (migration.version <= current) continue;
+    db.transaction(() => {
+      db.exec(migration.sql);
+      recordMigration.run(migration.version, migration.name, Date.now());
+    })();
+    console.log(`Applied SQLite migration ${migration.version} (${migration.name})`);
+  }
+}
+
+function createSqliteStorage(filename) {
+  // Loaded lazily so the Supabase backend doesn't need the native module
+  const Database = require('better-sqlite3');
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+
+  const statements = {
+    getSchemaVersion: db.prepare('SELECT MAX(version) AS version FROM schema_migrations'),
+    getUser: db.prepare('SELECT * FROM users WHERE user_id = ?'),
+    createUser: db.prepare('INSERT OR IGNORE INTO users (user_id, last_draw, last_pack, last_pick) VALUES (?, 0, 0, 0)'),
+    saveCooldowns: db.prepare(`
+      INSERT INTO users (user_id, last_draw, last_pack, last_pick) VALUES (@userId, @lastDraw, @lastPack, @lastPick)
+      ON CONFLICT (user_id) DO UPDATE SET
+        last_draw = excluded.last_draw,
+        last_pack = excluded.last_pack,
+        last_pick = excluded.last_pick
+    `),
+    setBinderPrivate: db.prepare(`
+      INSERT INTO users (user_id, binder_private) VALUES (@userId, @binderPrivate)
+      ON CONFLICT (user_id) DO UPDATE SET binder_private = excluded.binder_private
+    `),
+    getInventory: db.prepare('SELECT * FROM inventory WHERE user_id = ? ORDER BY obtained_at ASC, id ASC'),
+    addInventoryItem: db.prepare(`
+      INSERT INTO inventory (user_id, card_id, obtained_at, instance_id, psa_grade)
+      VALUES (@user_id, @card_id, @obtained_at, @instance_id, @psa_grade)
+    `),
+    findInventoryItem: db.prepare('SELECT * FROM inventory WHERE instance_id = ?'),
+    countInventory: db.prepare('SELECT COUNT(*) AS count FROM inventory'),
+    deleteInventoryItem: db.prepare('DELETE FROM inventory WHERE user_id = ? AND instance_id = ? AND escrow_trade_id IS NULL AND locked = 0'),
+    clearInventory: db.prepare('DELETE FROM inventory WHERE user_id = ? AND escrow_trade_id IS NULL AND locked = 0'),
+    setInventoryLocked: db.prepare(`
+      UPDATE inventory SET locked = @locked
+      WHERE user_id = @userId AND instance_id = @instanceId AND escrow_trade_id IS NULL
+    `),
+    insertTrade: db.prepare(`
+      INSERT INTO trades (sender_id, receiver_id, created_at, expires_at)
+      VALUES (@senderId, @receiverId, @createdAt, @expiresAt)
+    `),
+    escrowCard: db.prepare(`
+      UPDATE inventory SET escrow_trade_id = @tradeId
+      WHERE user_id = @userId AND instance_id = @instanceId AND escrow_trade_id IS NULL AND locked = 0
+    `),
+    insertTradeItem: db.prepare(`
+      INSERT INTO trade_items (trade_id, instance_id, card_id, owner_id)
+      SELECT @tradeId, instance_id, card_id, user_id FROM inventory
+      WHERE user_id = @userId AND instance_id = @instanceId AND locked = 0
+    `),
+    deleteTradeItems: db.prepare('DELETE FROM trade_items WHERE trade_id = ? AND owner_id = ?'),
+    countEscrowedItems: db.prepare(`
+      SELECT COUNT(*) AS count FROM inventory
+      JOIN trade_items ON trade_items.trade_id = inventory.escrow_trade_id
+        AND trade_items.instance_id = inventory.instance_id
+        AND trade_items.owner_id = inventory.user_id
+      WHERE inventory.escrow_trade_id = ?
+    `),
+    releaseUserEscrow: db.prepare('UPDATE inventory SET escrow_trade_id = NULL WHERE escrow_trade_id = ? AND user_id = ?'),
+    setTradeConfirmations: db.prepare(`
+      UPDATE trades SET sender_confirmed = @senderConfirmed, receiver_confirmed = @receiverConfirmed WHERE id = @tradeId
+    `),
+    getTrade: db.prepare('SELECT * FROM trades WHERE id = ?'),
+    getTradeItems: db.prepare('SELECT * FROM trade_items WHERE trade_id = ?'),
+    listPendingTradeIds: db.prepare(`
+      SELECT id FROM trades WHERE status = 'pending' AND (sender_id = @userId OR receiver_id = @userId)
+      ORDER BY created_at DESC
+    `),
+    setTradeMessage: db.prepare('UPDATE trades SET channel_id = ?, message_id = ? WHERE id = ?'),
+    swapEscrowedCards: db.prepare(`
+      UPDATE inventory
+      SET user_id = CASE WHEN user_id = @senderId THEN @receiverId ELSE @senderId END,
+          escrow_trade_id = NULL,
+          obtained_at = @now
+      WHERE escrow_trade_id = @tradeId
+    `),
+    setTradeStatus: db.prepare(`
+      UPDATE trades SET status = @status, resolved_at = @now WHERE id = @tradeId AND status = 'pending'
+    `),
+    releaseEscrow: db.prepare('UPDATE inventory SET escrow_trade_id = NULL WHERE escrow_trade_id = ?'),
+    listExpiredTrades: db.prepare("SELECT * FROM trades WHERE status = 'pending' AND expires_at <= ?"),
+    listAdmins: db.prepare('SELECT user_id FROM admins'),
+    addAdmin: db.prepare('INSERT OR IGNORE INTO admins (user_id) VALUES (?)'),
+    removeAdmin: db.prepare('DELETE FROM admins WHERE user_id = ?'),
+    listServerConfigs: db.prepare('SELECT * FROM server_config'),
+    setServerChannel: db.prepare(`
+      INSERT INTO server_config (guild_id, channel_id) VALUES (?, ?)
+      ON CONFLICT (guild_id) DO UPDATE SET channel_id = excluded.channel_id, updated_at = CURRENT_TIMESTAMP
+    `),
+    setServerTextSettings: db.prepare(`
+      INSERT INTO server_config (guild_id, prefix, bare_words) VALUES (@guildId, @prefix, @bareWords)
+      ON CONFLICT (guild_id) DO UPDATE SET
+        prefix = excluded.prefix,
+        bare_words = excluded.bare_words,
+        updated_at = CURRENT_TIMESTAMP
+    `),
+    listServerAliases: db.prepare('SELECT * FROM server_aliases'),
+    setServerAlias: db.prepare(`
+      INSERT INTO server_aliases (guild_id, alias, command) VALUES (?, ?, ?)
+      ON CONFLICT (guild_id, alias) DO UPDATE SET command = excluded.command
+    `),
+    removeServerAlias: db.prepare('DELETE FROM server_aliases WHERE guild_id = ? AND alias = ?'),
+    insertPickSession: db.prepare(`
+      INSERT INTO pick_sessions (user_id, card_ids, created_at, expires_at)
+      VALUES (@userId, @cardIds, @createdAt, @expiresAt)
+    `),
+    getPickSession: db.prepare('SELECT * FROM pick_sessions WHERE id = ?'),
+    setPickSessionMessage: db.prepare('UPDATE pick_sessions SET channel_id = ?, message_id = ? WHERE id = ?'),
+    closePickSession: db.prepare(`
+      UPDATE pick_sessions SET status = @status, picked_card_id = @pickedCardId, resolved_at = @now
+      WHERE id = @sessionId AND status = 'open'
+    `),
+    reopenPickSession: db.prepare(`
+      UPDATE pick_sessions SET status = 'open', picked_card_id = NULL, resolved_at = NULL WHERE id = ?
+    `),
+    listExpiredPickSessions: db.prepare("SELECT * FROM pick_sessions WHERE status = 'open' AND expires_at <= ?"),
+    ensureUser: db.prepare('INSERT OR IGNORE INTO users (user_id) VALUES (?)'),
+    getBalance: db.prepare('SELECT dust FROM users WHERE user_id = ?'),
+    changeDust: db.prepare('UPDATE users SET dust = dust + @amount WHERE user_id = @userId AND dust + @amount >= 0'),
+    insertLedgerEntry: db.prepare(`
+      INSERT INTO dust_ledger (user_id, amount, balance, reason, ref, created_at)
+      VALUES (@userId, @amount, @balance, @reason, @ref, @now)
+    `),
+    listDustLedger: db.prepare('SELECT * FROM dust_ledger WHERE user_id = ? ORDER BY id DESC LIMIT ?'),
+    binInventoryItem: db.prepare(`
+      INSERT INTO recycle_bin (instance_id, user_id, card_id, obtained_at, psa_grade, reason, dust, removed_at)
+      SELECT instance_id, user_id, card_id, obtained_at, psa_grade, @reason, @dust, @now FROM inventory
+      WHERE user_id = @userId AND instance_id = @instanceId AND escrow_trade_id IS NULL AND locked = 0
+    `),
+    binInventory: db.prepare(`
+      INSERT INTO recycle_bin (instance_id, user_id, card_id, obtained_at, psa_grade, reason, dust, removed_at)
+      SELECT instance_id, user_id, card_id, obtained_at, psa_grade, 'clear', 0, @now FROM inventory
+      WHERE user_id = @userId AND escrow_trade_id IS NULL AND locked = 0
+    `),
+    getBinItem: db.prepare('SELECT * FROM recycle_bin WHERE user_id = ? AND instance_id = ?'),
+    deleteBinItem: db.prepare('DELETE FROM recycle_bin WHERE instance_id = ?'),
+    listRecycleBin: db.prepare('SELECT * FROM recycle_bin WHERE user_id = ? ORDER BY removed_at DESC, instance_id'),
+    purgeRecycleBin: db.prepare('DELETE FROM recycle_bin WHERE removed_at <= ?'),
+    insertSetCompletion: db.prepare(`
+      INSERT INTO set_completions (user_id, set_name, dust, completed_at)
+      VALUES (@userId, @setName, @dust, @now)
+      ON CONFLICT (user_id, set_name) DO NOTHING
+    `),
+    listSetCompletions: db.prepare('SELECT * FROM set_completions WHERE user_id = ? ORDER BY completed_at, set_name')
+  };
+
+  // card_ids is stored as JSON text
+  function toPickSession(row) {
+    return row ? { ...row, card_ids: JSON.parse(row.card_ids) } : null;
+  }
+
+  function getTrade(tradeId) {
+    const trade = statements.getTrade.get(tradeId);
+    if (!trade) return null;
+    return {
+      ...trade,
+      sender_confirmed: Boolean(trade.sender_confirmed),
+      receiver_confirmed: Boolean(trade.receiver_confirmed),
+      items: statements.getTradeItems.all(tradeId)
+    };
+  }
+
+  // Load a pending, unexpired trade for an update or throw the matching TradeError
+  function getOpenTrade(tradeId, now) {
+    const trade = getTrade(tradeId);
+    if (!trade) throw new TradeError('TRADE_NOT_FOUND');
+    if (trade.status !== 'pending') throw new TradeError('TRADE_CLOSED');
+    if (trade.expires_at <= now) throw new TradeError('TRADE_EXPIRED');
+    return trade;
+  }
+
+  // Escrow `instanceIds` from `userId` for a trade and add them as trade items
+  function escrowTradeCards(tradeId, userId, instanceIds) {
+    for (const instanceId of instanceIds) {
+      const { changes } = statements.escrowCard.run({ tradeId, userId, instanceId });
+      if (!changes) throw new TradeError('CARD_UNAVAILABLE');
+      statements.insertTradeItem.run({ tradeId, userId, instanceId });
+    }
+  }
+
+  // Each of these runs as a single transaction; throwing rolls it back
+  const addInventoryItems = db.transaction(items => {
+    for (const item of items) {
+      statements.addInventoryItem.run(item);
+    }
+  });
+
+  const createTrade = db.transaction(({ senderId, receiverId, senderInstanceIds, receiverInstanceIds, createdAt, expiresAt }) => {
+    const tradeId = statements.insertTrade.run({ senderId, receiverId, createdAt, expiresAt }).lastInsertRowid;
+    escrowTradeCards(tradeId, senderId, senderInstanceIds);
+
+    // Receiver's side is only requested until they confirm
+    for (const instanceId of receiverInstanceIds) {
+      const { changes } = statements.insertTradeItem.run({ tradeId, userId: receiverId, instanceId });
+      if (!changes) throw new TradeError('CARD_UNAVAILABLE');
+    }
+    return getTrade(tradeId);
+  });
+
+  const acceptTrade = db.transaction((tradeId, userId, now) => {
+    const trade = getOpenTrade(tradeId, now);
+    const isSender = trade.sender_id === userId;
+    if (!isSender && trade.receiver_id !== userId) throw new TradeError('NOT_TRADE_PARTY');
+    if (isSender ? trade.sender_confirmed : trade.receiver_confirmed) throw new TradeError('AWAITING_OTHER_PARTY');
+
+    // Escrow the accepting side's cards too, then make sure every card is held
+    for (const item of trade.items.filter(item => item.owner_id === userId)) {
+      statements.escrowCard.run({ tradeId, userId, instanceId: item.instance_id });
+    }
+    if (statements.countEscrowedItems.get(tradeId).count !== trade.items.length) {
+      throw new TradeError('CARD_UNAVAILABLE');
+    }
+
+    statements.swapEscrowedCards.run({
+      tradeId,
+      senderId: trade.sender_id,
+      receiverId: trade.receiver_id,
+      now
+    });
+    statements.setTradeConfirmations.run({ tradeId, senderConfirmed: 1, receiverConfirmed: 1 });
+    statements.setTradeStatus.run({ tradeId, status: 'accepted', now });
+    return getTrade(tradeId);
+  });
+
+  const counterTrade = db.transaction((tradeId, userId, instanceIds, now) => {
+    const trade = getOpenTrade(tradeId, now);
+    if (trade.receiver_id !== userId) throw new TradeError('NOT_TRADE_PARTY');
+
+    statements.releaseUserEscrow.run(tradeId, userId);
+    statements.deleteTradeItems.run(tradeId, userId);
+    escrowTradeCards(tradeId, userId, instanceIds);
+    statements.setTradeConfirmations.run({ tradeId, senderConfirmed: 0, receiverConfirmed: 1 });
+    return getTrade(tradeId);
+  });
+
+  const closeTrade = db.transaction((tradeId, status, now) => {
+    const { changes } = statements.setTradeStatus.run({ tradeId, status, now });
+    if (!changes) return null;
+    statements.releaseEscrow.run(tradeId);
+    return getTrade(tradeId);
+  });
+
+  // New balance, or null if it would go below zero
+  const addDust = db.transaction((userId, amount, reason, ref, now) => {
+    statements.ensureUser.run(userId);
+    if (!statements.changeDust.run({ userId, amount }).changes) return null;
+    const balance = statements.getBalance.get(userId).dust;
+    statements.insertLedgerEntry.run({ userId, amount, balance, reason, ref, now });
+    return balance;
+  });
+
+  // Move a card to the recycle bin. False if it's gone, locked or in escrow.
+  function binInventoryItem(userId, instanceId, reason, dust, now) {
+    if (!statements.binInventoryItem.run({ userId, instanceId, reason, dust, now }).changes) return false;
+    statements.deleteInventoryItem.run(userId, instanceId);
+    return true;
+  }
+
+  const burnInventoryItem = db.transaction((userId, instanceId, dust, now) => {
+    if (!binInventoryItem(userId, instanceId, 'burn', dust, now)) return null;
+    return addDust(userId, dust, 'burn', instanceId, now);
+  });
+
+  // Cards that can't be burned (gone, locked or in escrow) are skipped; the rest pay out as one ledger entry
+  const burnInventoryItems = db.transaction((userId, items, now) => {
+    const burned = [];
+    let total = 0;
+    for (const { instanceId, dust } of items) {
+      if (!binInventoryItem(userId, instanceId, 'burn', dust, now)) continue;
+      burned.push(instanceId);
+      total += dust;
+    }
+
+    const balance = burned.length
+      ? addDust(userId, total, 'bulk_burn', `${burned.length} cards`, now)
+      : statements.getBalance.get(userId)?.dust || 0;
+    return { burned, balance };
+  });
+
+  const clearInventory = db.transaction((userId, now) => {
+    const { changes } = statements.binInventory.run({ userId, now });
+    statements.clearInventory.run(userId);
+    return changes;
+  });
+
+  const restoreInventoryItem = db.transaction((userId, instanceId, now) => {
+    const item = statements.getBinItem.get(userId, instanceId);
+    if (!item) return null;
+
+    const balance = item.dust > 0
+      ? addDust(userId, -item.dust, 'restore', instanceId, now)
+      : statements.getBalance.get(userId)?.dust || 0;
+    if (balance === null) {
+      return { restored: false, dust: item.dust, balance: statements.getBalance.get(userId)?.dust || 0 };
+    }
+
+    statements.deleteBinItem.run(instanceId);
+    statements.addInventoryItem.run({
+      user_id: item.user_id,
+      card_id: item.card_id,
+      obtained_at: item.obtained_at,
+      instance_id: item.instance_id,
+      psa_grade: item.psa_grade
+    });
+    return { restored: true, dust: item.dust, balance };
+  });
+
+  const craftInventoryItem = db.transaction((item, cost, now) => {
+    const balance = addDust(item.user_id, -cost, 'craft', item.instance_id, now);
+    if (balance === null) return null;
+    statements.addInventoryItem.run(item);
+    return balance;
+  });
+
+  // Null if the set was already completed (its reward is only paid once)
+  const completeSet = db.transaction((userId, setName, dust, now) => {
+    if (!statements.insertSetCompletion.run({ userId, setName, dust, now }).changes) return null;
+    return addDust(userId, dust, 'set_complete', setName, now);
+  });
+
+  const expireTrades = db.transaction(now => {
+    const expired = statements.listExpiredTrades.all(now);
+    for (const trade of expired) {
+      statements.setTradeStatus.run({ tradeId: trade.id, status: 'expired', now });
+      statements.releaseEscrow.run(trade.id);
+    }
+    return expired.map(trade => ({ ...trade, status: 'expired', resolved_at: now }));
+  });
+
+  return {
+    name: 'sqlite',
+
+    async getSchemaVersion() {
+      return statements.getSchemaVersion.get().version || 0;
+    },
+
+    // ----- users -----
+    async getUser(userId) {
+      return statements.getUser.get(userId) || null;
+    },
+
+    async createUser(userId) {
+      statements.createUser.run(userId);
+    },
+
+    async saveCooldowns(userId, { lastDraw, lastPack, lastPick }) {
+      statements.saveCooldowns.run({ userId, lastDraw, lastPack, lastPick });
+    },
+
+    async setBinderPrivate(userId, binderPrivate) {
+      statements.setBinderPrivate.run({ userId, binderPrivate: binderPrivate ? 1 : 0 });
+    },
+
+    // ----- inventory -----
+    async getInventory(userId) {
+      return statements.getInventory.all(userId);
+    },
+
+    async addInventoryItems(items) {
+      addInventoryItems(items);
+    },
+
+    async findInventoryItem(instanceId) {
+      return statements.findInventoryItem.get(instanceId) || null;
+    },
+
+    async findExistingInstanceIds(instanceIds) {
+      if (!instanceIds.length) return [];
+      const placeholders = instanceIds.map(() => '?').join(', ');
+      return db
+        .prepare(`
+          SELECT instance_id FROM inventory WHERE instance_id IN (${placeholders})
+          UNION SELECT instance_id FROM recycle_bin WHERE instance_id IN (${placeholders})
+        `)
+        .all(...instanceIds, ...instanceIds)
+        .map(row => row.instance_id);
+    },
+
+    async countInventory() {
+      return statements.countInventory.get().count;
+    },
+
+    async deleteInventoryItem(userId, instanceId) {
+      return statements.deleteInventoryItem.run(userId, instanceId).changes > 0;
+    },
+
+    async burnInventoryItem(userId, instanceId, dust, now) {
+      return burnInventoryItem(userId, instanceId, dust, now);
+    },
+
+    async burnInventoryItems(userId, items, now) {
+      return burnInventoryItems(userId, items, now);
+    },
+
+    async craftInventoryItem(item, cost, now) {
+      return craftInventoryItem(item, cost, now);
+    },
+
+    async setInventoryLocked(userId, instanceId, locked) {
+      return statements.setInventoryLocked.run({ userId, instanceId, locked: locked ? 1 : 0 }).changes > 0;
+    },
+
+    // Locked cards and cards held in escrow by a pending trade are kept
+    async clearInventory(userId, now) {
+      return clearInventory(userId, now);
+    },
+
+    // ----- recycle bin -----
+    async listRecycleBin(userId) {
+      return statements.listRecycleBin.all(userId);
+    },
+
+    async restoreInventoryItem(userId, instanceId, now) {
+      return restoreInventoryItem(userId, instanceId, now);
+    },
+
+    async purgeRecycleBin(before) {
+      return statements.purgeRecycleBin.run(before).changes;
+    },
+
+    // ----- trades -----
+    async createTrade(trade) {
+      return createTrade(trade);
+    },
+
+    async getTrade(tradeId) {
+      return getTrade(tradeId);
+    },
+
+    async listPendingTrades(userId) {
+      return statements.listPendingTradeIds.all({ userId }).map(row => getTrade(row.id));
+    },
+
+    async setTradeMessage(tradeId, channelId, messageId) {
+      statements.setTradeMessage.run(channelId, messageId, tradeId);
+    },
+
+    async acceptTrade(tradeId, userId, now) {
+      return acceptTrade(tradeId, userId, now);
+    },
+
+    async counterTrade(tradeId, userId, instanceIds, now) {
+      return counterTrade(tradeId, userId, instanceIds, now);
+    },
+
+    async closeTrade(tradeId, status, now) {
+      return closeTrade(tradeId, status, now);
+    },
+
+    async expireTrades(now) {
+      return expireTrades(now);
+    },
+
+    // ----- admins -----
+    async listAdmins() {
+      return statements.listAdmins.all().map(row => row.user_id);
+    },
+
+    async addAdmin(userId) {
+      statements.addAdmin.run(userId);
+    },
+
+    async removeAdmin(userId) {
+      statements.removeAdmin.run(userId);
+    },
+
+    // ----- server config -----
+    async listServerConfigs() {
+      return statements.listServerConfigs.all().map(row => ({ ...row, bare_words: Boolean(row.bare_words) }));
+    },
+
+    async setServerChannel(guildId, channelId) {
+      statements.setServerChannel.run(guildId, channelId);
+    },
+
+    async setServerTextSettings(guildId, { prefix, bareWords }) {
+      statements.setServerTextSettings.run({ guildId, prefix, bareWords: bareWords ? 1 : 0 });
+    },
+
+    async listServerAliases() {
+      return statements.listServerAliases.all();
+    },
+
+    async setServerAlias(guildId, alias, command) {
+      statements.setServerAlias.run(guildId, alias, command);
+    },
+
+    async removeServerAlias(guildId, alias) {
+      return statements.removeServerAlias.run(guildId, alias).changes > 0;
+    },
+
+    // ----- dust -----
+    async getBalance(userId) {
+      return statements.getBalance.get(userId)?.dust || 0;
+    },
+
+    async addDust(userId, amount, reason, ref, now) {
+      return addDust(userId, amount, reason, ref, now);
+    },
+
+    async listDustLedger(userId, limit) {
+      return statements.listDustLedger.all(userId, limit);
+    },
+
+    // ----- set completions -----
+    async listSetCompletions(userId) {
+      return statements.listSetCompletions.all(userId);
+    },
+
+    async completeSet(userId, setName, dust, now) {
+      return completeSet(userId, setName, dust, now);
+    },
+
+    // ----- pick sessions -----
+    async createPickSession({ userId, cardIds, createdAt, expiresAt }) {
+      const sessionId = statements.insertPickSession.run({
+        userId,
+        cardIds: JSON.stringify(cardIds),
+        createdAt,
+        expiresAt
+      }).lastInsertRowid;
+      return toPickSession(statements.getPickSession.get(sessionId));
+    },
+
+    async getPickSession(sessionId) {
+      return toPickSession(statements.getPickSession.get(sessionId));
+    },
+
+    async setPickSessionMessage(sessionId, channelId, messageId) {
+      statements.setPickSessionMessage.run(channelId, messageId, sessionId);
+    },
+
+    async closePickSession(sessionId, status, pickedCardId, now) {
+      return statements.closePickSession.run({ sessionId, status, pickedCardId, now }).changes > 0;
+    },
+
+    async reopenPickSession(sessionId) {
+      statements.reopenPickSession.run(sessionId);
+    },
+
+    async listExpiredPickSessions(now) {
+      return statements.listExpiredPickSessions.all(now).map(toPickSession);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,449 @@
+// storage/supabase.js
+// Supabase (Postgres) backend for the storage interface described in storage/index.js
+
+const { TradeError, TRADE_ERROR_CODES } = require('./errors');
+
+// Supabase returns { data, error } - turn errors into exceptions
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+// Trade functions RAISE one of the TradeError codes as their message
+function unwrapTrade(result) {
+  if (result.error && TRADE_ERROR_CODES.includes(result.error.message)) {
+    throw new TradeError(result.error.message);
+  }
+  return unwrap(result);
+}
+
+function createSupabaseStorage(supabase) {
+  return {
+    name: 'supabase',
+
+    // 0 if no migrations have been applied yet (schema_migrations doesn't exist)
+    async getSchemaVersion() {
+      const { data, error } = await supabase
+        .from('schema_migrations')
+        .select('version')
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (error?.code === '42P01' || error?.code === 'PGRST205') return 0;
+      if (error) throw error;
+      return data?.version || 0;
+    },
+
+    // ----- users -----
+    async getUser(userId) {
+      return unwrap(await supabase
+        .from('users')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle());
+    },
+
+    // A no-op if the user already exists (two first-time loads can race)
+    async createUser(userId) {
+      unwrap(await supabase
+        .from('users')
+        .upsert({
+          user_id: userId,
+          last_draw: 0,
+          last_pack: 0,
+          last_pick: 0
+        }, { onConflict: 'user_id', ignoreDuplicates: true }));
+    },
+
+    async saveCooldowns(userId, { lastDraw, lastPack, lastPick }) {
+      unwrap(await supabase
+        .from('users')
+        .upsert({
+          user_id: userId,
+          last_draw: lastDraw,
+          last_pack: lastPack,
+          last_pick: lastPick
+        }, { onConflict: 'user_id' }));
+    },
+
+    async setBinderPrivate(userId, binderPrivate) {
+      unwrap(await supabase
+        .from('users')
+        .upsert({
+          user_id: userId,
+          binder_private: binderPrivate
+        }, { onConflict: 'user_id' }));
+    },
+
+    // ----- inventory -----
+    async getInventory(userId) {
+      return unwrap(await supabase
+        .from('inventory')
+        .select('*')
+        .eq('user_id', userId)
+        .order('obtained_at', { ascending: true })) || [];
+    },
+
+    // A multi-row insert is a single statement, so it succeeds or fails as a unit
+    async addInventoryItems(items) {
+      unwrap(await supabase
+        .from('inventory')
+        .insert(items));
+    },
+
+    async findInventoryItem(instanceId) {
+      return unwrap(await supabase
+        .from('inventory')
+        .select('*')
+        .eq('instance_id', instanceId)
+        .maybeSingle());
+    },
+
+    // Cards in the recycle bin keep their IDs until they're purged
+    async findExistingInstanceIds(instanceIds) {
+      const [inventoryRows, binRows] = await Promise.all([
+        supabase.from('inventory').select('instance_id').in('instance_id', instanceIds),
+        supabase.from('recycle_bin').select('instance_id').in('instance_id', instanceIds)
+      ]).then(results => results.map(unwrap));
+      return [...inventoryRows || [], ...binRows || []].map(row => row.instance_id);
+    },
+
+    async countInventory() {
+      const { count, error } = await supabase
+        .from('inventory')
+        .select('instance_id', { count: 'exact', head: true });
+      if (error) throw error;
+      return count || 0;
+    },
+
+    async deleteInventoryItem(userId, instanceId) {
+      const { count, error } = await supabase
+        .from('inventory')
+        .delete({ count: 'exact' })
+        .eq('user_id', userId)
+        .eq('instance_id', instanceId)
+        .is('escrow_trade_id', null)
+        .eq('locked', false);
+      if (error) throw error;
+      return count > 0;
+    },
+
+    async burnInventoryItem(userId, instanceId, dust, now) {
+      return unwrap(await supabase.rpc('burn_card', {
+        p_user_id: userId,
+        p_instance_id: instanceId,
+        p_dust: dust,
+        p_now: now
+      }));
+    },
+
+    async burnInventoryItems(userId, items, now) {
+      return unwrap(await supabase.rpc('burn_cards', {
+        p_user_id: userId,
+        p_instance_ids: items.map(item => item.instanceId),
+        p_dust: items.map(item => item.dust),
+        p_now: now
+      }));
+    },
+
+    async craftInventoryItem(item, cost, now) {
+      return unwrap(await supabase.rpc('craft_card', {
+        p_user_id: item.user_id,
+        p_card_id: item.card_id,
+        p_instance_id: item.instance_id,
+        p_psa_grade: item.psa_grade,
+        p_cost: cost,
+        p_now: now
+      }));
+    },
+
+    async setInventoryLocked(userId, instanceId, locked) {
+      const { count, error } = await supabase
+        .from('inventory')
+        .update({ locked }, { count: 'exact' })
+        .eq('user_id', userId)
+        .eq('instance_id', instanceId)
+        .is('escrow_trade_id', null);
+      if (error) throw error;
+      return count > 0;
+    },
+
+    // Locked cards and cards held in escrow by a pending trade are kept
+    async clearInventory(userId, now) {
+      return unwrap(await supabase.rpc('clear_inventory', {
+        p_user_id: userId,
+        p_now: now
+      }));
+    },
+
+    // ----- recycle bin -----
+    async listRecycleBin(userId) {
+      return unwrap(await supabase
+        .from('recycle_bin')
+        .select('*')
+        .eq('user_id', userId)
+        .order('removed_at', { ascending: false })
+        .order('instance_id', { ascending: true })) || [];
+    },
+
+    async restoreInventoryItem(userId, instanceId, now) {
+      return unwrap(await supabase.rpc('restore_card', {
+        p_user_id: userId,
+        p_instance_id: instanceId,
+        p_now: now
+      }));
+    },
+
+    async purgeRecycleBin(before) {
+      const { count, error } = await supabase
+        .from('recycle_bin')
+        .delete({ count: 'exact' })
+        .lte('removed_at', before);
+      if (error) throw error;
+      return count || 0;
+    },
+
+    // ----- trades -----
+    async createTrade({ senderId, receiverId, senderInstanceIds, receiverInstanceIds, createdAt, expiresAt }) {
+      const tradeId = unwrapTrade(await supabase.rpc('create_trade', {
+        p_sender_id: senderId,
+        p_receiver_id: receiverId,
+        p_sender_instance_ids: senderInstanceIds,
+        p_receiver_instance_ids: receiverInstanceIds,
+        p_created_at: createdAt,
+        p_expires_at: expiresAt
+      }));
+      return this.getTrade(tradeId);
+    },
+
+    async getTrade(tradeId) {
+      return unwrap(await supabase
+        .from('trades')
+        .select('*, items:trade_items(*)')
+        .eq('id', tradeId)
+        .maybeSingle());
+    },
+
+    async listPendingTrades(userId) {
+      return unwrap(await supabase
+        .from('trades')
+        .select('*, items:trade_items(*)')
+        .eq('status', 'pending')
+        .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`)
+        .order('created_at', { ascending: false })) || [];
+    },
+
+    async setTradeMessage(tradeId, channelId, messageId) {
+      unwrap(await supabase
+        .from('trades')
+        .update({ channel_id: channelId, message_id: messageId })
+        .eq('id', tradeId));
+    },
+
+    async acceptTrade(tradeId, userId, now) {
+      unwrapTrade(await supabase.rpc('accept_trade', {
+        p_trade_id: tradeId,
+        p_user_id: userId,
+        p_now: now
+      }));
+      return this.getTrade(tradeId);
+    },
+
+    async counterTrade(tradeId, userId, instanceIds, now) {
+      unwrapTrade(await supabase.rpc('counter_trade', {
+        p_trade_id: tradeId,
+        p_user_id: userId,
+        p_instance_ids: instanceIds,
+        p_now: now
+      }));
+      return this.getTrade(tradeId);
+    },
+
+    async closeTrade(tradeId, status, now) {
+      const closed = unwrapTrade(await supabase.rpc('close_trade', {
+        p_trade_id: tradeId,
+        p_status: status,
+        p_now: now
+      }));
+      return closed ? this.getTrade(tradeId) : null;
+    },
+
+    async expireTrades(now) {
+      return unwrap(await supabase.rpc('expire_trades', { p_now: now })) || [];
+    },
+
+    // ----- admins -----
+    async listAdmins() {
+      const rows = unwrap(await supabase
+        .from('admins')
+        .select('*'));
+      return (rows || []).map(row => row.user_id);
+    },
+
+    async addAdmin(userId) {
+      unwrap(await supabase
+        .from('admins')
+        .upsert({ user_id: userId }));
+    },
+
+    async removeAdmin(userId) {
+      unwrap(await supabase
+        .from('admins')
+        .delete()
+        .eq('user_id', userId));
+    },
+
+    // ----- server config -----
+    async listServerConfigs() {
+      return unwrap(await supabase
+        .from('server_config')
+        .select('*')) || [];
+    },
+
+    async setServerChannel(guildId, channelId) {
+      unwrap(await supabase
+        .from('server_config')
+        .upsert({
+          guild_id: guildId,
+          channel_id: channelId
+        }));
+    },
+
+    async setServerTextSettings(guildId, { prefix, bareWords }) {
+      unwrap(await supabase
+        .from('server_config')
+        .upsert({
+          guild_id: guildId,
+          prefix,
+          bare_words: bareWords
+        }));
+    },
+
+    async listServerAliases() {
+      return unwrap(await supabase
+        .from('server_aliases')
+        .select('*')) || [];
+    },
+
+    async setServerAlias(guildId, alias, command) {
+      unwrap(await supabase
+        .from('server_aliases')
+        .upsert({ guild_id: guildId, alias, command }));
+    },
+
+    async removeServerAlias(guildId, alias) {
+      const { count, error } = await supabase
+        .from('server_aliases')
+        .delete({ count: 'exact' })
+        .eq('guild_id', guildId)
+        .eq('alias', alias);
+      if (error) throw error;
+      return count > 0;
+    },
+
+    // ----- dust -----
+    async getBalance(userId) {
+      const user = unwrap(await supabase
+        .from('users')
+        .select('dust')
+        .eq('user_id', userId)
+        .maybeSingle());
+      return user?.dust || 0;
+    },
+
+    async addDust(userId, amount, reason, ref, now) {
+      return unwrap(await supabase.rpc('add_dust', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_reason: reason,
+        p_ref: ref,
+        p_now: now
+      }));
+    },
+
+    async listDustLedger(userId, limit) {
+      return unwrap(await supabase
+        .from('dust_ledger')
+        .select('*')
+        .eq('user_id', userId)
+        .order('id', { ascending: false })
+        .limit(limit)) || [];
+    },
+
+    // ----- set completions -----
+    async listSetCompletions(userId) {
+      return unwrap(await supabase
+        .from('set_completions')
+        .select('*')
+        .eq('user_id', userId)
+        .order('completed_at', { ascending: true })
+        .order('set_name', { ascending: true })) || [];
+    },
+
+    async completeSet(userId, setName, dust, now) {
+      return unwrap(await supabase.rpc('complete_set', {
+        p_user_id: userId,
+        p_set_name: setName,
+        p_dust: dust,
+        p_now: now
+      }));
+    },
+
+    // ----- pick sessions -----
+    async createPickSession({ userId, cardIds, createdAt, expiresAt }) {
+      return unwrap(await supabase
+        .from('pick_sessions')
+        .insert({
+          user_id: userId,
+          card_ids: cardIds,
+          created_at: createdAt,
+          expires_at: expiresAt
+        })
+        .select()
+        .single());
+    },
+
+    async getPickSession(sessionId) {
+      return unwrap(await supabase
+        .from('pick_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .maybeSingle());
+    },
+
+    async setPickSessionMessage(sessionId, channelId, messageId) {
+      unwrap(await supabase
+        .from('pick_sessions')
+        .update({ channel_id: channelId, message_id: messageId })
+        .eq('id', sessionId));
+    },
+
+    // Only an open session is closed, so a pick and the expiry sweep can't both win
+    async closePickSession(sessionId, status, pickedCardId, now) {
+      const { count, error } = await supabase
+        .from('pick_sessions')
+        .update({ status, picked_card_id: pickedCardId, resolved_at: now }, { count: 'exact' })
+        .eq('id', sessionId)
+        .eq('status', 'open');
+      if (error) throw error;
+      return count > 0;
+    },
+
+    async reopenPickSession(sessionId) {
+      unwrap(await supabase
+        .from('pick_sessions')
+        .update({ status: 'open', picked_card_id: null, resolved_at: null })
+        .eq('id', sessionId));
+    },
+
+    async listExpiredPickSessions(now) {
+      return unwrap(await supabase
+        .from('pick_sessions')
+        .select('*')
+        .eq('status', 'open')
+        .lte('expires_at', now)) || [];
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,215 @@
+// test/locks.spec.js
+// Concurrent claims for one user against the in-memory SQLite backend: each state-changing
+// action must be applied exactly once, however the two requests interleave.
+//
+//   npm test
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.TEST_MODE = 'false';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const bot = require('../index');
+const { TradeError } = require('../storage');
+
+const { db } = bot;
+
+const CARD = { id: 'test-card', name: 'pikachu', number: '1', rarity: 'common', set: 'Base Set 2', imageUrl: '' };
+
+// Records every cooldown save per user
+const cooldownWrites = new Map(); // userId -> [{ lastDraw, lastPack, lastPick }]
+
+before(() => {
+  bot.cards.push(CARD);
+  bot.cardMap.set(CARD.id, CARD);
+
+  const saveCooldowns = db.saveCooldowns;
+  db.saveCooldowns = (userId, cooldowns) => {
+    if (!cooldownWrites.has(userId)) cooldownWrites.set(userId, []);
+    cooldownWrites.get(userId).push({ ...cooldowns });
+    return saveCooldowns(userId, cooldowns);
+  };
+});
+
+let nextUser = 0;
+function newUserId() {
+  return `user-${++nextUser}`;
+}
+
+async function giveCards(userId, count) {
+  const rows = Array.from({ length: count }, (_, i) => ({
+    user_id: userId,
+    card_id: CARD.id,
+    obtained_at: i,
+    instance_id: `${userId}-${i}`,
+    psa_grade: 5
+  }));
+  await db.addInventoryItems(rows);
+  return rows.map(row => row.instance_id);
+}
+
+// Command context that records its replies, like a slash command would get
+function fakeContext(userId, options = {}) {
+  const replies = [];
+  const record = payload => {
+    replies.push(typeof payload === 'string' ? payload : payload.content);
+  };
+  return {
+    replies,
+    source: 'slash',
+    user: { id: userId, username: userId, bot: false },
+    guild: null,
+    channel: null,
+    options: { getString: name => options[name] ?? null },
+    defer: async () => {},
+    reply: async payload => record(payload),
+    replyPrivate: async payload => record(payload)
+  };
+}
+
+test('two draws at once grant one card and start the cooldown once', async () => {
+  const userId = newUserId();
+  const now = Date.now();
+
+  const results = await Promise.all([bot.claimDraw(userId, now), bot.claimDraw(userId, now)]);
+
+  assert.equal(results.filter(result => result.entry).length, 1);
+  assert.equal(results.filter(result => result.remaining).length, 1);
+  assert.equal((await db.getInventory(userId)).length, 1);
+  assert.equal((await bot.getUserData(userId)).inventory.length, 1);
+  assert.deepEqual(cooldownWrites.get(userId).map(write => write.lastDraw), [now]);
+});
+
+test('two packs at once open one pack and start the cooldown once', async () => {
+  const userId = newUserId();
+  const now = Date.now();
+
+  const results = await Promise.all([bot.claimPack(userId, now), bot.claimPack(userId, now)]);
+
+  assert.equal(results.filter(result => result.pulled).length, 1);
+  assert.equal(results.filter(result => result.remaining).length, 1);
+  assert.equal((await db.getInventory(userId)).length, 5);
+  assert.deepEqual(cooldownWrites.get(userId).map(write => write.lastPack), [now]);
+});
+
+test('two picks at once start one session, and picking it twice grants one card', async () => {
+  const userId = newUserId();
+  const now = Date.now();
+
+  const started = await Promise.all([bot.startPick(userId, now), bot.startPick(userId, now)]);
+  const sessions = started.filter(result => result.session);
+  assert.equal(sessions.length, 1);
+  assert.equal(started.filter(result => result.remaining).length, 1);
+  assert.deepEqual(cooldownWrites.get(userId).map(write => write.lastPick), [now]);
+
+  const sessionId = sessions[0].session.id;
+  const picked = await Promise.all([
+    bot.claimPick(sessionId, userId, 0, now),
+    bot.claimPick(sessionId, userId, 1, now)
+  ]);
+
+  assert.equal(picked.filter(result => result.entry).length, 1);
+  assert.equal(picked.filter(result => result.error === 'closed').length, 1);
+  assert.equal((await db.getInventory(userId)).length, 1);
+  assert.equal(cooldownWrites.get(userId).length, 1);
+});
+
+test('burning the same card twice at once burns and pays out once', async () => {
+  const userId = newUserId();
+  const [instanceId] = await giveCards(userId, 1);
+  const burn = bot.commands.find(command => command.name === 'burn');
+  const contexts = [fakeContext(userId, { card: instanceId }), fakeContext(userId, { card: instanceId })];
+
+  await Promise.all(contexts.map(ctx => burn.execute(ctx)));
+
+  const replies = contexts.flatMap(ctx => ctx.replies);
+  assert.equal(replies.filter(reply => reply.startsWith('🔥 Burned')).length, 1);
+  assert.equal((await db.getInventory(userId)).length, 0);
+  assert.equal((await db.listRecycleBin(userId)).length, 1);
+  assert.equal((await db.listDustLedger(userId, 10)).length, 1);
+});
+
+test('accepting a trade twice at once swaps the cards once', async () => {
+  const senderId = newUserId();
+  const receiverId = newUserId();
+  const [offered] = await giveCards(senderId, 1);
+  const [wanted] = await giveCards(receiverId, 1);
+  const now = Date.now();
+  const trade = await db.createTrade({
+    senderId,
+    receiverId,
+    senderInstanceIds: [offered],
+    receiverInstanceIds: [wanted],
+    createdAt: now,
+    expiresAt: now + 60 * 1000
+  });
+
+  const results = await Promise.allSettled([
+    bot.acceptTradeFor(trade, receiverId),
+    bot.acceptTradeFor(trade, receiverId)
+  ]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  const [failure] = results.filter(result => result.status === 'rejected');
+  assert.ok(failure.reason instanceof TradeError);
+  assert.equal((await db.getTrade(trade.id)).status, 'accepted');
+  assert.deepEqual((await db.getInventory(senderId)).map(row => row.instance_id), [wanted]);
+  assert.deepEqual((await db.getInventory(receiverId)).map(row => row.instance_id), [offered]);
+  assert.deepEqual((await bot.getUserData(senderId)).inventory.map(row => row.instance_id), [wanted]);
+});
+
+test('clearing the binder twice at once clears it once', async () => {
+  const userId = newUserId();
+  await giveCards(userId, 3);
+  await bot.getUserData(userId);
+  const clearbinder = bot.commands.find(command => command.name === 'clearbinder');
+  const contexts = [fakeContext(userId, { confirm: userId }), fakeContext(userId, { confirm: userId })];
+
+  await Promise.all(contexts.map(ctx => clearbinder.execute(ctx)));
+
+  const replies = contexts.flatMap(ctx => ctx.replies);
+  assert.equal(replies.filter(reply => reply.startsWith('🗑️ Your binder has been cleared!')).length, 1);
+  assert.equal(replies.filter(reply => reply === '❌ Your binder is already empty!').length, 1);
+  assert.equal((await db.getInventory(userId)).length, 0);
+  assert.equal((await db.listRecycleBin(userId)).length, 3);
+});
+
+test('burning a card while a trade is declined keeps the other cards cached', async () => {
+  const senderId = newUserId();
+  const receiverId = newUserId();
+  const [burned, offered, kept] = await giveCards(senderId, 3);
+  await bot.getUserData(senderId);
+  const now = Date.now();
+  const trade = await db.createTrade({
+    senderId,
+    receiverId,
+    senderInstanceIds: [offered],
+    receiverInstanceIds: [],
+    createdAt: now,
+    expiresAt: now + 60 * 1000
+  });
+  const burn = bot.commands.find(command => command.name === 'burn');
+
+  // Hold the burn open after the database write and decline meanwhile, so an unlocked decline
+  // would reload the sender's inventory before the burn updates its cache
+  const burnInventoryItem = db.burnInventoryItem;
+  db.burnInventoryItem = async (...args) => {
+    const balance = await burnInventoryItem(...args);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return balance;
+  };
+  try {
+    await Promise.all([
+      burn.execute(fakeContext(senderId, { card: burned })),
+      new Promise(resolve => setTimeout(resolve, 5)).then(() => bot.declineTrade(trade, receiverId))
+    ]);
+  } finally {
+    db.burnInventoryItem = burnInventoryItem;
+  }
+
+  const cached = (await bot.getUserData(senderId)).inventory.map(row => row.instance_id).sort();
+  assert.deepEqual(cached, [offered, kept].sort());
+  assert.equal((await db.getTrade(trade.id)).status, 'declined');
+});
@@ -0,0 +1,126 @@
+// test/sets.spec.js
+// Set completion rewards against the in-memory SQLite backend: completing a set through any
+// grant path pays out once, is announced by that grant and survives trading the cards away.
+//
+//   npm test
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.TEST_MODE = 'false';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const bot = require('../index');
+
+const { db } = bot;
+
+// Base Set 2 is just these two cards here
+const SET_NAME = 'Base Set 2';
+const SET_CARDS = [
+  { id: 'set-card-1', name: 'pikachu', number: '1', rarity: 'common', set: SET_NAME, imageUrl: '' },
+  { id: 'set-card-2', name: 'raichu', number: '2', rarity: 'common', set: SET_NAME, imageUrl: '' }
+];
+
+before(() => {
+  for (const card of SET_CARDS) {
+    bot.cards.push(card);
+    bot.cardMap.set(card.id, card);
+  }
+});
+
+let nextUser = 0;
+function newUserId() {
+  return `set-user-${++nextUser}`;
+}
+
+async function giveCard(userId, card) {
+  const instanceId = `${userId}-${card.id}`;
+  await db.addInventoryItems([{ user_id: userId, card_id: card.id, obtained_at: 0, instance_id: instanceId, psa_grade: 5 }]);
+  return instanceId;
+}
+
+// Make the next draw pick `card`. No rarity index is built here, so randomCard picks uniformly
+// from `cards` with its first Math.random() call.
+function drawNext(card) {
+  const random = Math.random;
+  Math.random = () => {
+    Math.random = random;
+    return bot.cards.indexOf(card) / bot.cards.length;
+  };
+}
+
+async function setRewards(userId) {
+  return (await db.listDustLedger(userId, 10)).filter(row => row.reason === 'set_complete');
+}
+
+test('the draw that completes a set pays the reward once and says so', async () => {
+  const userId = newUserId();
+  await giveCard(userId, SET_CARDS[0]);
+  const now = Date.now();
+
+  drawNext(SET_CARDS[1]);
+  const first = await bot.claimDraw(userId, now);
+  assert.equal(first.card.id, SET_CARDS[1].id);
+  assert.deepEqual(first.completedSets.map(set => set.setName), [SET_NAME]);
+
+  const second = await bot.claimDraw(userId, now + 24 * 60 * 60 * 1000);
+  assert.ok(second.entry);
+  assert.deepEqual(second.completedSets, []);
+
+  assert.equal((await setRewards(userId)).length, 1);
+  assert.deepEqual((await db.listSetCompletions(userId)).map(row => row.set_name), [SET_NAME]);
+});
+
+test('a trade that completes a set rewards the trainer who received the card', async () => {
+  const senderId = newUserId();
+  const receiverId = newUserId();
+  const offered = await giveCard(senderId, SET_CARDS[1]);
+  await giveCard(receiverId, SET_CARDS[0]);
+  const now = Date.now();
+  const trade = await db.createTrade({
+    senderId,
+    receiverId,
+    senderInstanceIds: [offered],
+    receiverInstanceIds: [],
+    createdAt: now,
+    expiresAt: now + 60 * 1000
+  });
+
+  const accepted = await bot.acceptTradeFor(trade, receiverId);
+
+  assert.equal(accepted.status, 'accepted');
+  assert.deepEqual(accepted.completedSets[receiverId].map(set => set.setName), [SET_NAME]);
+  assert.deepEqual(accepted.completedSets[senderId], []);
+  assert.equal((await setRewards(receiverId)).length, 1);
+});
+
+test('the reward is kept after trading a card away and is not paid again', async () => {
+  const userId = newUserId();
+  const otherId = newUserId();
+  await giveCard(userId, SET_CARDS[0]);
+  const traded = await giveCard(userId, SET_CARDS[1]);
+  await bot.claimDraw(userId, Date.now());
+  assert.equal((await setRewards(userId)).length, 1);
+
+  const trade = async (senderId, receiverId, instanceId) => {
+    const now = Date.now();
+    const offer = await db.createTrade({
+      senderId,
+      receiverId,
+      senderInstanceIds: [instanceId],
+      receiverInstanceIds: [],
+      createdAt: now,
+      expiresAt: now + 60 * 1000
+    });
+    return bot.acceptTradeFor(offer, receiverId);
+  };
+
+  // Trade the second card away and back again: the set is complete again, but was already rewarded
+  await trade(userId, otherId, traded);
+  const back = await trade(otherId, userId, traded);
+
+  assert.deepEqual(back.completedSets[userId], []);
+  assert.equal((await setRewards(userId)).length, 1);
+  assert.deepEqual((await db.listSetCompletions(userId)).map(row => row.set_name), [SET_NAME]);
+});
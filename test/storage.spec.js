@@ -0,0 +1,102 @@
+// test/storage.spec.js
+// The storage interface (storage/index.js) against the in-memory SQLite backend: users,
+// inventory, admins and server config.
+//
+//   npm test
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStorage, SCHEMA_VERSION } = require('../storage');
+
+let db;
+beforeEach(() => {
+  db = createStorage();
+});
+
+function inventoryRow(userId, instanceId, obtainedAt = 0) {
+  return { user_id: userId, card_id: 'card-1', obtained_at: obtainedAt, instance_id: instanceId, psa_grade: 5 };
+}
+
+test('a new database is migrated to the current schema version', async () => {
+  assert.equal(await db.getSchemaVersion(), SCHEMA_VERSION);
+});
+
+test('users are created once and keep their cooldowns', async () => {
+  assert.equal(await db.getUser('u1'), null);
+
+  await db.createUser('u1');
+  await db.saveCooldowns('u1', { lastDraw: 10, lastPack: 20, lastPick: 30 });
+  await db.createUser('u1');
+
+  const user = await db.getUser('u1');
+  assert.equal(user.last_draw, 10);
+  assert.equal(user.last_pack, 20);
+  assert.equal(user.last_pick, 30);
+});
+
+test('inventory rows come back oldest first and are found by instance ID', async () => {
+  await db.addInventoryItems([inventoryRow('u1', 'po2', 2), inventoryRow('u1', 'po1', 1), inventoryRow('u2', 'po3', 3)]);
+
+  assert.deepEqual((await db.getInventory('u1')).map(row => row.instance_id), ['po1', 'po2']);
+  assert.equal((await db.findInventoryItem('po3')).user_id, 'u2');
+  assert.equal(await db.findInventoryItem('nope'), null);
+  assert.deepEqual((await db.findExistingInstanceIds(['po1', 'nope', 'po3'])).sort(), ['po1', 'po3']);
+  assert.equal(await db.countInventory(), 3);
+});
+
+test('adding inventory is all or nothing', async () => {
+  await db.addInventoryItems([inventoryRow('u1', 'po1')]);
+
+  await assert.rejects(db.addInventoryItems([inventoryRow('u1', 'po2'), inventoryRow('u1', 'po1')]));
+
+  assert.deepEqual((await db.getInventory('u1')).map(row => row.instance_id), ['po1']);
+});
+
+test('deleting a card only removes the owner\'s unlocked card', async () => {
+  await db.addInventoryItems([inventoryRow('u1', 'po1'), inventoryRow('u1', 'po2')]);
+  assert.equal(await db.setInventoryLocked('u1', 'po2', true), true);
+
+  assert.equal(await db.deleteInventoryItem('u2', 'po1'), false);
+  assert.equal(await db.deleteInventoryItem('u1', 'po2'), false);
+  assert.equal(await db.deleteInventoryItem('u1', 'po1'), true);
+  assert.deepEqual((await db.getInventory('u1')).map(row => row.instance_id), ['po2']);
+});
+
+test('admins can be added and removed', async () => {
+  await db.addAdmin('u1');
+  await db.addAdmin('u2');
+  await db.removeAdmin('u1');
+
+  assert.deepEqual(await db.listAdmins(), ['u2']);
+});
+
+test('server config keeps the channel and text settings per guild', async () => {
+  await db.setServerChannel('g1', 'c1');
+  await db.setServerTextSettings('g1', { prefix: '!', bareWords: false });
+  await db.setServerTextSettings('g2', { prefix: null, bareWords: true });
+
+  const configs = new Map((await db.listServerConfigs()).map(row => [row.guild_id, row]));
+  assert.equal(configs.get('g1').channel_id, 'c1');
+  assert.equal(configs.get('g1').prefix, '!');
+  assert.equal(configs.get('g1').bare_words, false);
+  assert.equal(configs.get('g2').channel_id, null);
+  assert.equal(configs.get('g2').prefix, null);
+  assert.equal(configs.get('g2').bare_words, true);
+});
+
+test('server aliases are replaced and removed per guild', async () => {
+  await db.setServerAlias('g1', 'dd', 'draw');
+  await db.setServerAlias('g1', 'dd', 'pack');
+  await db.setServerAlias('g2', 'dd', 'draw');
+
+  assert.equal(await db.removeServerAlias('g2', 'dd'), true);
+  assert.equal(await db.removeServerAlias('g2', 'dd'), false);
+  assert.deepEqual(
+    (await db.listServerAliases()).map(({ guild_id, alias, command }) => ({ guild_id, alias, command })),
+    [{ guild_id: 'g1', alias: 'dd', command: 'pack' }]
+  );
+});